@@ -0,0 +1,15 @@
+// Price table of AI calls (services/ai-usage.js), in USD: per million input and
+// output tokens, and per generated image. Keys are "<provider>:<model>" or a model
+// name for any provider; calls to models not listed are recorded without a cost.
+// Keep in line with your provider contracts.
+export default {
+    "gpt-4-turbo": { input: 10, output: 30 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "text-embedding-3-small": { input: 0.02, output: 0 },
+    "dall-e-3": { image: 0.04 },
+    "claude-3-5-sonnet-latest": { input: 3, output: 15 },
+    "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+    // Offline fixtures cost nothing
+    "mock:fixtures": { input: 0, output: 0, image: 0 }
+};
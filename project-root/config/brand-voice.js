@@ -0,0 +1,21 @@
+// Tenant brand voice options (Tenant.brandVoice, services/brand-voice.js)
+
+export const readingLevels = {
+    simple: "Short sentences and everyday words a 12-year-old understands",
+    standard: "Clear sentences for a general adult audience",
+    advanced: "Rich vocabulary and longer sentences for expert readers"
+};
+
+export const formalities = {
+    casual: "Casual and friendly; address the reader directly, contractions are fine",
+    neutral: "Neutral and professional",
+    formal: "Formal and polite; no slang or contractions"
+};
+
+export const brandVoiceLimits = {
+    tone: 300,
+    terms: 50,          // banned words and mandatory phrases, each
+    termLength: 100,
+    sampleCopy: 2000,
+    defaultCta: 200
+};
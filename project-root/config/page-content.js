@@ -0,0 +1,57 @@
+// Fields of structured page content (services/page-content.js), generated as one
+// JSON document. Text limits are in characters; list limits in items.
+// kind: 'text' or 'list' (objects with the listed text fields)
+import { seoLimits } from "./seo.js";
+import settings from "./settings.js";
+
+export default {
+    title: {
+        kind: "text",
+        ...seoLimits.title,
+        description: "Title shown in search results, with the main keyword"
+    },
+    metaDescription: {
+        kind: "text",
+        ...seoLimits.metaDescription,
+        description: "Search result snippet: the main benefit and a short call to action"
+    },
+    h1: {
+        kind: "text",
+        min: 10,
+        max: 80,
+        description: "Main heading of the page, different from the title"
+    },
+    intro: {
+        kind: "text",
+        min: 300,
+        max: 3000,
+        description: "Main page text, paragraphs separated by blank lines"
+    },
+    features: {
+        kind: "list",
+        min: 3,
+        max: 6,
+        description: "Customer benefits",
+        fields: {
+            title: { min: 3, max: 60 },
+            text: { min: 20, max: 300 }
+        }
+    },
+    cta: {
+        kind: "text",
+        min: 10,
+        max: 160,
+        description: "Call to action sentence"
+    },
+    faq: {
+        kind: "list",
+        // Same number of questions as free-text FAQ generation
+        min: settings.faq.minQuestions,
+        max: settings.faq.maxQuestions,
+        description: "Questions phrased the way people ask them in voice search, answers of 1-3 sentences",
+        fields: {
+            question: { min: 10, max: 150 },
+            answer: { min: 20, max: 600 }
+        }
+    }
+};
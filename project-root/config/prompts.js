@@ -0,0 +1,84 @@
+// Built-in prompts, used when no template in the prompt library (models/PromptTemplate.js)
+// matches. Templates reference variables as {{name}}; see PROMPT_VARIABLES.
+// The JSON format of structured content is appended by code, so templates cannot break it.
+
+// AI operations whose prompts can be managed in the admin UI
+export const PROMPT_OPERATIONS = ["description", "structured"];
+
+export const PROMPT_VARIABLES = {
+    industry: "Industry name",
+    location: "City or region of the page",
+    type: "Business or offer type",
+    lang: "Language code of the page (en, es...)",
+    language: "Language name in English",
+    languageInstruction: "Writing instruction for the language",
+    keywords: "Target keywords, comma separated",
+    brandVoice: "Tenant brand voice guidelines (added to the system prompt when a template does not use this variable)"
+};
+
+// Tuned instructions; other languages get a generic one (services/prompts.js)
+export const languageInstructions = {
+    en: "Write in professional English with American SEO optimization",
+    es: "Escribe en español profesional con optimización SEO para hispanohablantes",
+    fr: "Écrivez en français professionnel avec optimisation SEO française",
+    de: "Schreiben Sie in professionellem Deutsch mit deutscher SEO-Optimierung",
+    it: "Scrivi in italiano professionale con ottimizzazione SEO italiana",
+    pt: "Escreva em português profissional com otimização SEO brasileira",
+    ru: "Пишите на профессиональном русском языке с русской SEO-оптимизацией",
+    ja: "プロフェッショナルな日本語でSEO最適化して書いてください",
+    zh: "用专业中文写作，并进行中文SEO优化"
+};
+
+export const MAX_PROMPT_LENGTH = 10000;
+
+export const defaultPrompts = {
+    description: {
+        system: "You are an expert marketing copywriter specializing in local business content.",
+        body: `Create a compelling, conversion-focused business description for a {{industry}} {{type}} in {{location}}.
+
+REQUIREMENTS:
+- {{languageInstruction}}
+- Length: 180-350 words
+- Include location-specific keywords naturally
+- Focus on unique value propositions and customer benefits
+- Add emotional triggers and trust signals
+- Include clear call-to-action
+- Use power words that drive conversions
+- Optimize for voice search and mobile users (2025 SEO)
+- Structure for featured snippets potential
+
+CONTEXT:
+- Industry: {{industry}}
+- Business Type: {{type}}
+- Location: {{location}}
+- Target Language: {{lang}}
+- Keywords: {{keywords}}
+- Year: 2025 (use current market trends)
+
+TONE: Professional, trustworthy, locally-focused, conversion-optimized
+
+Generate the marketing copy now:`
+    },
+    structured: {
+        system: "You are an expert marketing copywriter and SEO specialist for local businesses. Reply with JSON only.",
+        body: `Write the content of a landing page for a {{industry}} {{type}} in {{location}}.
+
+REQUIREMENTS:
+- {{languageInstruction}} (every field)
+- Title and H1 contain the main keyword and the location
+- Intro: 150-300 words on unique value propositions and customer benefits, with location-specific keywords
+- Features: concrete benefits, each with a short title
+- Call to action: one sentence that drives conversions
+- FAQ: questions specific to {{location}}; answers directly answer the question first
+- No prices, dates or facts you are not sure of; no contact details
+
+CONTEXT:
+- Industry: {{industry}}
+- Business Type: {{type}}
+- Location: {{location}}
+- Target Language: {{lang}}
+- Keywords: {{keywords}}
+
+TONE: Professional, trustworthy, locally-focused, conversion-optimized`
+    }
+};
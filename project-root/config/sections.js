@@ -0,0 +1,98 @@
+// Section types a landing page can be composed of, in the order they are offered.
+// component: view in views/components/ that renders the section
+// module: settings.modules flag the section depends on (null = always available)
+// fields: editable data; 'list' fields are edited one item per line, columns separated by "|"
+// defaults: data used for fields the tenant left empty
+// required: the section is always on the page (it carries the title and main text)
+export default {
+    hero: {
+        label: "Hero",
+        component: "hero",
+        module: null,
+        required: true,
+        fields: [
+            { name: "subheading", label: "Subheading", kind: "text" },
+            { name: "imageUrl", label: "Image URL (defaults to the page image)", kind: "url" }
+        ],
+        defaults: {}
+    },
+    features: {
+        label: "Features",
+        component: "features",
+        module: null,
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "items", label: "Features (title | description)", kind: "list", columns: ["title", "text"] }
+        ],
+        defaults: { heading: "Why choose us", items: [] }
+    },
+    faq: {
+        label: "FAQ",
+        component: "faq",
+        module: null,
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "items", label: "Questions (question | answer)", kind: "list", columns: ["question", "answer"] },
+            { name: "lang", label: "Only on language (code, empty = every language)", kind: "lang" }
+        ],
+        defaults: { heading: "Frequently asked questions", items: [] }
+    },
+    reviews: {
+        label: "Reviews",
+        component: "reviews",
+        module: "reviews",
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "items", label: "Reviews (text | author | rating 1-5)", kind: "list", columns: ["text", "author", "rating"] }
+        ],
+        defaults: {
+            heading: "Customer Reviews",
+            items: [
+                { text: "Excellent service and quality!", author: "John D.", rating: "5" },
+                { text: "Highly recommend to everyone.", author: "Sarah M.", rating: "5" }
+            ]
+        }
+    },
+    map: {
+        label: "Map",
+        component: "map",
+        module: "map",
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "address", label: "Address (defaults to the page location)", kind: "text" }
+        ],
+        defaults: { heading: "Our Location" }
+    },
+    form: {
+        label: "Contact form",
+        component: "form",
+        module: "form",
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "buttonLabel", label: "Button label", kind: "text" }
+        ],
+        defaults: { heading: "Contact Us", buttonLabel: "Send Message" }
+    },
+    products: {
+        label: "Products",
+        component: "products",
+        module: "ecommerce",
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "items", label: "Products (title | description | price | image URL)", kind: "list", columns: ["title", "description", "price", "imageUrl"] }
+        ],
+        defaults: { heading: "Our offers", items: [] }
+    },
+    cta: {
+        label: "Call to action",
+        component: "cta",
+        module: null,
+        fields: [
+            { name: "heading", label: "Heading", kind: "text" },
+            { name: "text", label: "Text", kind: "textarea" },
+            { name: "buttonLabel", label: "Button label", kind: "text" },
+            { name: "url", label: "Button link", kind: "url" }
+        ],
+        defaults: { heading: "Ready to get started?", buttonLabel: "Get in touch", url: "#contact-form" }
+    }
+};
@@ -0,0 +1,6 @@
+// Lengths search engines display in full, in characters. Competitor analysis
+// scores pages against them and generated page content must meet them.
+export const seoLimits = {
+    title: { min: 30, max: 60 },
+    metaDescription: { min: 120, max: 160 }
+};
@@ -1,7 +1,16 @@
+// Loaded first so values below see .env even though settings is imported before server.js runs dotenv.config()
+import "dotenv/config";
+
 export default {
     siteName: "AI Landing SaaS",
     baseUrl: process.env.BASE_URL || "http://localhost:3000",
     defaultLanguage: "en",
+    // Tenant served when the Host header matches no tenant domain (null = platform pages).
+    // Not applied to platform hosts.
+    defaultTenantDomain: process.env.DEFAULT_TENANT_DOMAIN || null,
+    // Hosts that serve the platform itself and never resolve to a tenant; the host of
+    // baseUrl always counts as one
+    platformHosts: (process.env.PLATFORM_HOSTS || "").split(",").map(host => host.trim()).filter(Boolean),
     industries: [
         {
             key: "real_estate",
@@ -32,6 +41,142 @@ export default {
         aiImages: true,
         pwa: true
     },
+    pageGeneration: {
+        // On-demand pages older than this are regenerated in the background
+        staleAfterHours: 24 * 7,
+        // Auto-refresh interval of the "being prepared" page
+        retryAfterSeconds: 5,
+        // Wait before retrying a page whose generation failed
+        failureBackoffSeconds: 60,
+        // Publish on-demand pages as soon as they are generated instead of sending
+        // them to the review queue (unreviewed AI copy goes live)
+        autoPublish: process.env.AUTO_PUBLISH_ON_DEMAND === "true",
+        // Auto-refresh interval of the "being prepared" page while editors review it
+        reviewRetryAfterSeconds: 300,
+        // Generate title, H1, meta description, text, features, CTA and FAQ as one
+        // structured document instead of free text (services/page-content.js)
+        structuredContent: process.env.AI_STRUCTURED_CONTENT === "true"
+    },
+    ai: {
+        // LLM providers (services/llm); type: openai | openai-compatible | anthropic | mock.
+        // openai-compatible covers local servers such as Ollama or llama.cpp.
+        providers: {
+            openai: {
+                type: "openai",
+                apiKey: process.env.OPENAI_API_KEY
+            },
+            local: {
+                type: "openai-compatible",
+                baseUrl: process.env.LOCAL_LLM_URL || "http://localhost:11434/v1",
+                apiKey: process.env.LOCAL_LLM_API_KEY
+            },
+            anthropic: {
+                type: "anthropic",
+                apiKey: process.env.ANTHROPIC_API_KEY
+            },
+            // Offline fixtures; errorRate 0-1 fails that share of calls with errorStatus (429 or 503)
+            mock: {
+                type: "mock",
+                seed: process.env.AI_MOCK_SEED || "ai-landing",
+                latencyMs: parseInt(process.env.AI_MOCK_LATENCY_MS) || 0,
+                errorRate: parseFloat(process.env.AI_MOCK_ERROR_RATE) || 0,
+                errorStatus: parseInt(process.env.AI_MOCK_ERROR_STATUS) || 503
+            }
+        },
+        // Run every operation on the mock provider: no keys or network needed
+        mock: process.env.AI_MOCK === "true",
+        // Model of each operation as "<provider>:<model>"; tenants can override single operations
+        models: {
+            description: process.env.AI_MODEL_DESCRIPTION || "openai:gpt-4-turbo",
+            faq: process.env.AI_MODEL_FAQ || "openai:gpt-4-turbo",
+            translation: process.env.AI_MODEL_TRANSLATION || "openai:gpt-4o-mini",
+            keywords: process.env.AI_MODEL_KEYWORDS || "openai:gpt-4o-mini",
+            analytics: process.env.AI_MODEL_ANALYTICS || "openai:gpt-4o-mini",
+            meta: process.env.AI_MODEL_META || "openai:gpt-4o-mini",
+            social: process.env.AI_MODEL_SOCIAL || "openai:gpt-4o-mini",
+            structured: process.env.AI_MODEL_STRUCTURED || "openai:gpt-4-turbo",
+            image: process.env.AI_MODEL_IMAGE || "openai:dall-e-3",
+            embeddings: process.env.AI_MODEL_EMBEDDINGS || "openai:text-embedding-3-small"
+        },
+        timeoutMs: 30000,
+        // Replies to structured generation that fail the schema are sent back for
+        // repair; attempts include the first one
+        structuredAttempts: parseInt(process.env.AI_STRUCTURED_ATTEMPTS) || 3,
+        // Records of AI calls (tokens, cost, latency) are kept this long
+        usageRetentionDays: parseInt(process.env.AI_USAGE_RETENTION_DAYS) || 400
+    },
+    faq: {
+        // Questions generated per page (free-text and structured generation), and
+        // related search queries offered as seeds
+        minQuestions: 4,
+        maxQuestions: 8,
+        seedQueries: 10,
+        seedTimeoutMs: 5000
+    },
+    httpCache: {
+        // Platform defaults for public pages; tenants can override each value (seconds)
+        maxAge: 300,
+        sMaxAge: 3600,
+        staleWhileRevalidate: 86400
+    },
+    cdn: {
+        // none | fastly | cloudflare - used for surrogate key headers and purges
+        provider: process.env.CDN_PROVIDER || "none",
+        fastly: {
+            apiToken: process.env.FASTLY_API_TOKEN,
+            serviceId: process.env.FASTLY_SERVICE_ID
+        },
+        cloudflare: {
+            apiToken: process.env.CLOUDFLARE_API_TOKEN,
+            zoneId: process.env.CLOUDFLARE_ZONE_ID
+        }
+    },
+    shareImages: {
+        // Rendered 1200x630 Open Graph images, one folder per tenant
+        dir: process.env.SHARE_IMAGE_DIR || "cache/share-images",
+        defaultColor: "#007bff"
+    },
+    media: {
+        // Tenant media library; local | s3 (any S3-compatible service, e.g. MinIO)
+        storage: process.env.MEDIA_STORAGE || "local",
+        local: {
+            dir: process.env.MEDIA_DIR || "public/uploads",
+            baseUrl: "/uploads"
+        },
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || "us-east-1",
+            endpoint: process.env.S3_ENDPOINT, // unset = AWS
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            publicUrl: process.env.S3_PUBLIC_URL // e.g. a CDN in front of the bucket
+        },
+        maxFileSize: parseInt(process.env.UPLOAD_MAX_SIZE, 10) || 10 * 1024 * 1024,
+        // Responsive WebP widths; images are never enlarged
+        widths: [320, 640, 1024, 1600],
+        // PNG favicon sizes; 16-48 also go into favicon.ico
+        faviconSizes: [16, 32, 48, 180, 192, 512]
+    },
+    staticExport: {
+        // Zip files of exported tenant sites
+        dir: process.env.STATIC_EXPORT_DIR || "exports"
+    },
+    customDomains: {
+        // DNS record checked for ownership: <recordPrefix>.<domain>
+        recordPrefix: "_ai-landing",
+        cnameTarget: process.env.CUSTOM_DOMAIN_CNAME_TARGET || "verify.ai-landing.app",
+        // Re-verification failures in a row before a verified domain is deactivated
+        maxFailures: 3,
+        // Days a domain may stay unverified before its claim is dropped
+        pendingExpiryDays: 7
+    },
+    seo: {
+        // Sitemap protocol limit; larger sites get a sitemap index
+        sitemapMaxUrls: 50000,
+        // Always disallowed in robots.txt, on top of each tenant's own rules
+        robotsDisallow: ["/admin", "/tenant", "/auth", "/api", "/billing"]
+    },
     googleTrendsGeo: "GLOBAL",
     payment: {
         enabled: true,
@@ -0,0 +1,73 @@
+// Bundled schema.org definitions JSON-LD is validated against before render.
+// Each type lists its required properties and the expected kind of the
+// properties we emit: 'text', 'url', 'date', another type name, or 'Type[]'.
+export default {
+    Organization: {
+        required: ["name", "url"],
+        properties: { name: "text", url: "url", logo: "url" }
+    },
+    WebPage: {
+        required: ["name", "url"],
+        properties: { name: "text", url: "url", description: "text", inLanguage: "text" }
+    },
+    BreadcrumbList: {
+        required: ["itemListElement"],
+        properties: { itemListElement: "ListItem[]" }
+    },
+    ListItem: {
+        required: ["position", "name"],
+        properties: { position: "number", name: "text", item: "url" }
+    },
+    Place: {
+        required: ["name"],
+        properties: { name: "text" }
+    },
+    Offer: {
+        required: ["url", "availability"],
+        properties: { url: "url", availability: "url", areaServed: "Place", businessFunction: "url" }
+    },
+    RealEstateListing: {
+        required: ["name", "url", "description", "offers"],
+        properties: {
+            name: "text",
+            url: "url",
+            description: "text",
+            image: "url",
+            inLanguage: "text",
+            datePosted: "date",
+            offers: "Offer"
+        }
+    },
+    TouristAttraction: {
+        required: ["name"],
+        properties: { name: "text", description: "text", address: "text" }
+    },
+    ItemList: {
+        required: ["itemListElement"],
+        properties: { itemListElement: "TouristAttraction[]" }
+    },
+    TouristTrip: {
+        required: ["name", "url", "description"],
+        properties: {
+            name: "text",
+            url: "url",
+            description: "text",
+            image: "url",
+            inLanguage: "text",
+            touristType: "text",
+            itinerary: "ItemList"
+        }
+    },
+    Question: {
+        required: ["name", "acceptedAnswer"],
+        properties: { name: "text", acceptedAnswer: "Answer" }
+    },
+    Answer: {
+        required: ["text"],
+        properties: { text: "text" }
+    },
+    FAQPage: {
+        required: ["mainEntity"],
+        properties: { mainEntity: "Question[]", inLanguage: "text" }
+    }
+};
@@ -0,0 +1,48 @@
+// Landing page templates. Each renders through its own view and starts pages
+// that have no sections of their own from its default composition.
+// industries: industry keys the template suits (null = every industry)
+// sections: default section types, in order (see config/sections.js)
+// sectionData: starting data of the default sections, per section type
+// components: section types rendered by a different component in this template
+export const templates = {
+    standard: {
+        label: "Standard",
+        description: "Title, text and image followed by reviews, map and contact form.",
+        view: "public-pages/property",
+        industries: null,
+        sections: ["hero", "reviews", "map", "form"]
+    },
+    listing: {
+        label: "Property listing",
+        description: "Listing layout with a key facts panel next to the content.",
+        view: "public-pages/listing",
+        industries: ["real_estate"],
+        sections: ["hero", "features", "map", "reviews", "form"],
+        sectionData: {
+            features: { heading: "Property highlights" },
+            map: { heading: "Neighbourhood" },
+            form: { heading: "Request a viewing", buttonLabel: "Request viewing" }
+        }
+    },
+    itinerary: {
+        label: "Itinerary",
+        description: "Trip layout with the highlights as numbered stops and a booking call to action.",
+        view: "public-pages/itinerary",
+        industries: ["tourism"],
+        sections: ["hero", "features", "faq", "map", "reviews", "cta"],
+        sectionData: {
+            features: { heading: "Itinerary" },
+            map: { heading: "Where you'll go" },
+            cta: { heading: "Ready for the trip?", buttonLabel: "Check availability" }
+        },
+        components: { features: "itinerary-stops" }
+    }
+};
+
+// Template used for an industry until a tenant picks another one
+export const industryDefaults = {
+    real_estate: "listing",
+    tourism: "itinerary"
+};
+
+export const DEFAULT_TEMPLATE = "standard";
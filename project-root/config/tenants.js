@@ -3,6 +3,7 @@ export default [
     {
         name: "Demo Real Estate",
         domain: "realestate.localhost",
+        aliasDomains: ["www.realestate.localhost"],
         logoUrl: "/img/demo-re-logo.png",
         primaryColor: "#007bff",
         allowedIndustries: ["real_estate"],
@@ -12,6 +13,7 @@ export default [
     {
         name: "Demo Tourism",
         domain: "tourism.localhost",
+        aliasDomains: ["www.tourism.localhost"],
         logoUrl: "/img/demo-tour-logo.png",
         primaryColor: "#ff6600",
         allowedIndustries: ["tourism"],
@@ -0,0 +1,39 @@
+// Tenant site themes: the choices the theme editor offers and the platform
+// defaults. Only system font stacks are offered, so pages load no web fonts.
+export const fonts = {
+    system: { label: "System UI", stack: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+    arial: { label: "Arial", stack: "Arial, Helvetica, sans-serif" },
+    verdana: { label: "Verdana", stack: "Verdana, Geneva, sans-serif" },
+    trebuchet: { label: "Trebuchet", stack: '"Trebuchet MS", Helvetica, sans-serif' },
+    georgia: { label: "Georgia", stack: 'Georgia, "Times New Roman", serif' },
+    palatino: { label: "Palatino", stack: '"Palatino Linotype", Palatino, "Book Antiqua", serif' },
+    mono: { label: "Monospace", stack: 'ui-monospace, Menlo, Consolas, monospace' }
+};
+
+export const buttonStyles = ["solid", "outline", "pill"];
+
+// off: light only, on: dark only, auto: follow the visitor's system setting
+export const darkModes = ["off", "on", "auto"];
+
+export const defaultTheme = {
+    palette: {
+        primary: "#0062cc",
+        secondary: "#5a6268",
+        background: "#ffffff",
+        text: "#333333"
+    },
+    headingFont: "arial",
+    bodyFont: "arial",
+    borderRadius: 4,
+    buttonStyle: "solid",
+    darkMode: "off",
+    customCss: ""
+};
+
+// Dark mode surface; primary/secondary are lightened on it until they meet AA
+export const darkSurface = {
+    background: "#121212",
+    text: "#e6e6e6"
+};
+
+export const MAX_CUSTOM_CSS = 20000;
@@ -1,15 +1,33 @@
 import cron from "node-cron";
-import { massGenerate } from "./services/massGenerator.js";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { runScheduledTransitions } from "./services/workflow.js";
+import { domainService } from "./services/domains.js";
+
+dotenv.config();
+
+await mongoose.connect(process.env.MONGO_URI, { serverSelectionTimeoutMS: 5000 });
 
 console.log("Cron jobs initialized...");
 
-// Every day at 03:00
-cron.schedule("0 3 * * *", async () => {
-    console.log(`[${new Date().toISOString()}] Running mass generation job...`);
+// Every minute: apply scheduled publish/unpublish windows
+cron.schedule("* * * * *", async () => {
+    try {
+        const result = await runScheduledTransitions();
+        if (result.published || result.archived) {
+            console.log(`[${new Date().toISOString()}] Scheduled pages: ${result.published} published, ${result.archived} archived`);
+        }
+    } catch (err) {
+        console.error("Scheduled page transitions failed:", err);
+    }
+});
+
+// Every 6 hours: re-verify custom domain ownership
+cron.schedule("0 */6 * * *", async () => {
     try {
-        await massGenerate();
-        console.log("Mass generation completed.");
+        const result = await domainService.reverifyAll();
+        console.log(`[${new Date().toISOString()}] Custom domains re-verified: ${result.checked} checked, ${result.failed} failed`);
     } catch (err) {
-        console.error("Mass generation failed:", err);
+        console.error("Custom domain re-verification failed:", err);
     }
 });
@@ -22,7 +22,8 @@ export const requireAuth = (req, res, next) => {
     next();
 };
 
-export const requireRole = (role) => {
+// Accepts one or more roles, e.g. requireRole("admin", "editor")
+export const requireRole = (...roles) => {
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
@@ -31,10 +32,10 @@ export const requireRole = (role) => {
             });
         }
         
-        if (req.user.role !== role) {
+        if (!roles.includes(req.user.role)) {
             securityLogger.warn('Insufficient permissions', {
                 userId: req.user.id,
-                requiredRole: role,
+                requiredRole: roles.join('|'),
                 userRole: req.user.role,
                 url: req.url,
                 ip: req.ip
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+import { cdnService } from "../services/cdn.js";
+import settings from "../config/settings.js";
+
+/**
+ * Cache lifetimes for a tenant's public responses: tenant overrides, then platform defaults
+ */
+export function getCacheSettings(tenant) {
+    const defaults = settings.httpCache;
+    const overrides = tenant?.caching || {};
+    return {
+        maxAge: overrides.maxAge ?? defaults.maxAge,
+        sMaxAge: overrides.sMaxAge ?? defaults.sMaxAge,
+        staleWhileRevalidate: overrides.staleWhileRevalidate ?? defaults.staleWhileRevalidate
+    };
+}
+
+/**
+ * Cache-Control value for a public response. Private responses (signed-in users,
+ * previews) must never be stored by a shared cache.
+ */
+export function buildCacheControl(tenant, { isPrivate = false } = {}) {
+    if (isPrivate) return "private, no-cache";
+
+    const { maxAge, sMaxAge, staleWhileRevalidate } = getCacheSettings(tenant);
+    const directives = ["public", `max-age=${maxAge}`, `s-maxage=${sMaxAge}`];
+    if (staleWhileRevalidate > 0) {
+        directives.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+    }
+    return directives.join(", ");
+}
+
+/**
+ * Strong ETag of a response body
+ */
+export function contentEtag(body) {
+    return `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+/**
+ * Send a rendered public response with validators and cache headers, answering
+ * If-None-Match / If-Modified-Since with 304 when the client copy is current.
+ * @param {Object} options - { tenant, lastModified, surrogateKeys, isPrivate }
+ */
+export function sendCacheable(req, res, body, { tenant = null, lastModified = null, surrogateKeys = [], isPrivate = false } = {}) {
+    res.set("ETag", contentEtag(body));
+    if (lastModified) {
+        res.set("Last-Modified", new Date(lastModified).toUTCString());
+    }
+    res.set("Cache-Control", buildCacheControl(tenant, { isPrivate }));
+    if (!isPrivate && surrogateKeys.length) {
+        cdnService.setSurrogateKeys(res, surrogateKeys);
+    }
+
+    // req.fresh compares the conditional request headers with ETag / Last-Modified above
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.send(body);
+}
@@ -0,0 +1,97 @@
+import Tenant from "../models/Tenant.js";
+import settings from "../config/settings.js";
+import { logger } from "../services/logger.js";
+
+// Host -> tenant lookups are cached briefly to avoid a DB round trip per request.
+// Only hosts that belong to a tenant are cached, so the Map is bounded by tenant domains
+// no matter what Host headers clients send.
+const TENANT_CACHE_TTL = 60 * 1000;
+const tenantCache = new Map();
+
+function normalizeHost(host = '') {
+    return host.toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+// Hosts of the platform itself (baseUrl and PLATFORM_HOSTS)
+const platformHosts = new Set(
+    [new URL(settings.baseUrl).hostname, ...settings.platformHosts].map(host => normalizeHost(host))
+);
+
+// Forget lookups whose TTL has passed
+function pruneTenantCache(now) {
+    for (const [host, entry] of tenantCache) {
+        if (entry.expires <= now) tenantCache.delete(host);
+    }
+}
+
+async function findTenantByHost(host) {
+    if (!host) return null;
+
+    const now = Date.now();
+    const cached = tenantCache.get(host);
+    if (cached && cached.expires > now) {
+        return cached.tenant;
+    }
+
+    const tenant = await Tenant.findOne({ $or: [{ domain: host }, { aliasDomains: host }] }).lean();
+    if (tenant) {
+        pruneTenantCache(now);
+        tenantCache.set(host, { tenant, expires: now + TENANT_CACHE_TTL });
+    } else {
+        tenantCache.delete(host);
+    }
+    return tenant;
+}
+
+/**
+ * Resolve a tenant from a host name: primary domain, then alias domains,
+ * then the configured fallback tenant. Returns null for platform hosts.
+ */
+export async function getTenantForHost(rawHost) {
+    const host = normalizeHost(rawHost);
+    if (platformHosts.has(host)) return null;
+
+    const tenant = await findTenantByHost(host);
+    if (tenant || !settings.defaultTenantDomain) return tenant;
+    return findTenantByHost(normalizeHost(settings.defaultTenantDomain));
+}
+
+/**
+ * Drop cached host lookups, e.g. after a tenant's domain or branding changed
+ */
+export function clearTenantCache() {
+    tenantCache.clear();
+}
+
+/**
+ * Middleware: resolve the tenant from the Host header into req.tenant
+ * (and res.locals.tenant for views). Never blocks the request on failure.
+ */
+export const resolveTenant = async (req, res, next) => {
+    try {
+        req.tenant = await getTenantForHost(req.hostname);
+    } catch (error) {
+        logger.error('Tenant resolution failed', { host: req.hostname, error: error.message });
+        req.tenant = null;
+    }
+    res.locals.tenant = req.tenant;
+    next();
+};
+
+/**
+ * Languages available on a tenant's pages: the tenant's allowedLanguages
+ * (when set) intersected with the platform languages
+ */
+export function getTenantLanguages(tenant) {
+    if (!tenant?.allowedLanguages?.length) return settings.languages;
+    return settings.languages.filter(l => tenant.allowedLanguages.includes(l.code));
+}
+
+/**
+ * Industries a tenant has pages for: the tenant's allowedIndustries
+ * (when set) intersected with the platform industries
+ */
+export function getTenantIndustries(tenant) {
+    if (!tenant?.allowedIndustries?.length) return settings.industries;
+    return settings.industries.filter(i => tenant.allowedIndustries.includes(i.key));
+}
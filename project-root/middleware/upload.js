@@ -2,6 +2,7 @@ import multer from "multer";
 import path from "path";
 import sharp from "sharp";
 import { logger } from "../services/logger.js";
+import settings from "../config/settings.js";
 
 // Storage configuration
 const storage = multer.diskStorage({
@@ -16,7 +17,7 @@ const storage = multer.diskStorage({
 
 // File filter
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|svg/;
+    const allowedTypes = /jpeg|jpg|png|gif|svg|webp/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
     const mimetype = allowedTypes.test(file.mimetype);
 
@@ -36,6 +37,27 @@ export const upload = multer({
     }
 });
 
+// Media library uploads stay in memory: services/media.js converts them and
+// writes only the renditions to the storage backend
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter,
+    limits: {
+        fileSize: settings.media.maxFileSize,
+        files: 1
+    }
+}).single('file');
+
+// Upload errors (type, size) are the user's to fix: answer 400 with the reason
+export const uploadMedia = (req, res, next) => {
+    mediaUpload(req, res, (error) => {
+        if (error) {
+            return res.status(400).send(error.message);
+        }
+        next();
+    });
+};
+
 // Image optimization middleware
 export const optimizeImage = async (req, res, next) => {
     if (!req.file) return next();
@@ -1,4 +1,12 @@
 import { body, param, query, validationResult } from "express-validator";
+import { SECTION_TYPES, MAX_SECTIONS, parseSectionData } from "../services/sections.js";
+import { TEMPLATE_KEYS } from "../services/templates.js";
+import { fonts, buttonStyles, darkModes, MAX_CUSTOM_CSS } from "../config/themes.js";
+import { PROMPT_OPERATIONS, MAX_PROMPT_LENGTH } from "../config/prompts.js";
+import { readingLevels, formalities, brandVoiceLimits } from "../config/brand-voice.js";
+import { socialPlatforms } from "../services/social.js";
+import { REPORT_DIMENSIONS } from "../services/ai-usage.js";
+import settings from "../config/settings.js";
 
 // Generic validation error handler
 export const handleValidationErrors = (req, res, next) => {
@@ -129,3 +137,453 @@ export const validateKeywordGeneration = [
     body('topic').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Topic required'),
     handleValidationErrors
 ];
+
+// Landing page validation
+export const validateRevisionDiff = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    query('from').optional().isMongoId().withMessage('Invalid revision ID'),
+    query('to').optional().isMongoId().withMessage('Invalid revision ID'),
+    handleValidationErrors
+];
+
+export const validateRevisionRestore = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    param('revisionId').isMongoId().withMessage('Invalid revision ID'),
+    handleValidationErrors
+];
+
+export const validatePageId = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    handleValidationErrors
+];
+
+// Page section editor; per-field rules come from config/sections.js
+export const validatePageSections = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('sections')
+        .optional()
+        .isArray({ max: MAX_SECTIONS })
+        .withMessage(`A page can have at most ${MAX_SECTIONS} sections`),
+    body('sections.*.type')
+        .isIn(SECTION_TYPES)
+        .withMessage('Invalid section type'),
+    body('sections.*.position')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 0, max: 1000 })
+        .withMessage('Position must be a number')
+        .toInt(),
+    body('sections.*.source')
+        .optional()
+        .isIn(['manual', 'ai'])
+        .withMessage('Invalid section source'),
+    body('sections.*.enabled')
+        .optional()
+        .toBoolean(),
+    body('sections.*.remove')
+        .optional()
+        .toBoolean(),
+    body('sections.*')
+        .custom(section => {
+            const { errors } = parseSectionData(section?.type, section?.data);
+            if (errors.length) throw new Error(errors.join('; '));
+            return true;
+        }),
+    body('addType')
+        .optional({ checkFalsy: true })
+        .isIn(SECTION_TYPES)
+        .withMessage('Invalid section type'),
+    handleValidationErrors
+];
+
+// Page templates: tenant defaults per industry, page overrides and previews
+export const validateTemplateSettings = [
+    body('templates')
+        .optional()
+        .isObject()
+        .withMessage('Invalid template selection'),
+    body('templates.*')
+        .optional({ checkFalsy: true })
+        .isIn(TEMPLATE_KEYS)
+        .withMessage('Unknown template'),
+    handleValidationErrors
+];
+
+export const validatePageTemplate = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('template')
+        .optional({ checkFalsy: true })
+        .isIn(TEMPLATE_KEYS)
+        .withMessage('Unknown template'),
+    body('resetSections')
+        .optional()
+        .toBoolean(),
+    handleValidationErrors
+];
+
+export const validatePagePreview = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    query('template')
+        .optional({ checkFalsy: true })
+        .isIn(TEMPLATE_KEYS)
+        .withMessage('Unknown template'),
+    query('reset')
+        .optional()
+        .toBoolean(),
+    handleValidationErrors
+];
+
+export const validateTemplatePreview = [
+    query('industry')
+        .isIn(settings.industries.map(i => i.key))
+        .withMessage('Unknown industry'),
+    query('template')
+        .isIn(TEMPLATE_KEYS)
+        .withMessage('Unknown template'),
+    handleValidationErrors
+];
+
+export const validatePageTransition = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('status')
+        .isIn(['draft', 'in_review', 'approved', 'published', 'archived'])
+        .withMessage('Invalid page status'),
+    body('comment')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Comment must be less than 2000 characters'),
+    handleValidationErrors
+];
+
+export const validatePageComment = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('comment')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Comment must be 1-2000 characters'),
+    handleValidationErrors
+];
+
+export const validatePageSchedule = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('publishAt')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('publishAt must be a valid date')
+        .toDate(),
+    body('unpublishAt')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('unpublishAt must be a valid date')
+        .toDate()
+        .custom((value, { req }) => !req.body.publishAt || value > req.body.publishAt)
+        .withMessage('unpublishAt must be after publishAt'),
+    handleValidationErrors
+];
+
+// Custom domain validation
+export const validateCustomDomain = [
+    body('domain')
+        .isString()
+        .trim()
+        .toLowerCase()
+        .isFQDN({ require_tld: true })
+        .withMessage('Enter a valid domain name, e.g. www.example.com'),
+    body('method')
+        .optional()
+        .isIn(['txt', 'cname'])
+        .withMessage('Verification method must be txt or cname'),
+    handleValidationErrors
+];
+
+export const validateDomainId = [
+    param('domainId').isMongoId().withMessage('Invalid domain ID'),
+    handleValidationErrors
+];
+
+export const validateShareImage = [
+    param('pageId').isMongoId().withMessage('Invalid page ID'),
+    param('lang').matches(/^[a-z]{2}(-[A-Z]{2})?$/).withMessage('Invalid language code'),
+    handleValidationErrors
+];
+
+export const validateSitemapChunk = [
+    param('chunk').isInt({ min: 1 }).withMessage('Invalid sitemap number').toInt(),
+    handleValidationErrors
+];
+
+// robots.txt settings: disallow paths come from a textarea, one per line
+export const validateRobotsSettings = [
+    body('disallow')
+        .optional()
+        .isString()
+        .customSanitizer(value => value.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+        .custom(paths => paths.length <= 100 && paths.every(p => p.startsWith('/') && p.length <= 200 && !/\s/.test(p)))
+        .withMessage('Disallow rules must be paths starting with /, one per line (max 100)'),
+    body('crawlDelay')
+        .optional({ checkFalsy: true })
+        .isInt({ min: 0, max: 60 })
+        .withMessage('Crawl delay must be 0-60 seconds')
+        .toInt(),
+    body('blockAll')
+        .optional()
+        .toBoolean(),
+    handleValidationErrors
+];
+
+// Per-tenant HTTP cache lifetimes; empty fields fall back to platform defaults
+const cacheSeconds = (field, label) => body(field)
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0, max: 31536000 })
+    .withMessage(`${label} must be 0-31536000 seconds`)
+    .toInt();
+
+export const validateCacheSettings = [
+    cacheSeconds('maxAge', 'Browser cache lifetime'),
+    cacheSeconds('sMaxAge', 'CDN cache lifetime'),
+    cacheSeconds('staleWhileRevalidate', 'Stale-while-revalidate window'),
+    handleValidationErrors
+];
+
+// Theme editor
+const themeColor = (field, label) => body(field)
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage(`${label} must be a hex colour like #1a2b3c`);
+
+export const validateTheme = [
+    themeColor('primaryColor', 'Primary colour'),
+    themeColor('secondaryColor', 'Secondary colour'),
+    themeColor('backgroundColor', 'Background colour'),
+    themeColor('textColor', 'Text colour'),
+    body(['headingFont', 'bodyFont'])
+        .isIn(Object.keys(fonts))
+        .withMessage('Unknown font'),
+    body('borderRadius')
+        .isInt({ min: 0, max: 32 })
+        .withMessage('Border radius must be 0-32 pixels')
+        .toInt(),
+    body('buttonStyle')
+        .isIn(buttonStyles)
+        .withMessage('Unknown button style'),
+    body('darkMode')
+        .isIn(darkModes)
+        .withMessage('Unknown dark mode setting'),
+    body('customCss')
+        .optional()
+        .isString()
+        .isLength({ max: MAX_CUSTOM_CSS })
+        .withMessage(`Custom CSS must be at most ${MAX_CUSTOM_CSS} characters`),
+    body('logoUrl')
+        .optional({ checkFalsy: true })
+        .trim()
+        .custom(value => /^(https?:\/\/|\/(?!\/))\S+$/i.test(value))
+        .withMessage('Logo URL must be an http(s) URL or a path on this site'),
+    handleValidationErrors
+];
+
+// Per-tenant AI models ("<provider>:<model>")
+export const validateTenantAiModels = [
+    param('tenantId').isMongoId().withMessage('Invalid tenant ID'),
+    body('models')
+        .optional()
+        .isObject()
+        .withMessage('Invalid model selection'),
+    body('models.*')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[a-z0-9_-]+:[\w.:/-]+$/i)
+        .withMessage('Models are written as provider:model'),
+    handleValidationErrors
+];
+
+// Media library
+export const validateMediaUpload = [
+    body('kind')
+        .optional()
+        .isIn(['image', 'logo'])
+        .withMessage('Unknown media kind'),
+    body('alt')
+        .optional()
+        .trim()
+        .isLength({ max: 300 })
+        .withMessage('Alt text must be at most 300 characters'),
+    handleValidationErrors
+];
+
+export const validateMediaId = [
+    param('mediaId').isMongoId().withMessage('Invalid media ID'),
+    handleValidationErrors
+];
+
+// Static site export
+export const validateStaticExport = [
+    body('tenant')
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid tenant'),
+    body('baseUrl')
+        .optional({ checkFalsy: true })
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Base URL must be an absolute http(s) URL'),
+    body('incremental')
+        .optional()
+        .toBoolean(),
+    handleValidationErrors
+];
+
+export const validateExportId = [
+    param('exportId').isMongoId().withMessage('Invalid export ID'),
+    handleValidationErrors
+];
+
+// Prompt template library
+const promptTextRules = [
+    body('system')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('System prompt must be 1-2000 characters'),
+    body('body')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: MAX_PROMPT_LENGTH })
+        .withMessage(`Prompt must be 1-${MAX_PROMPT_LENGTH} characters`)
+];
+
+export const validatePromptTemplate = [
+    body('operation')
+        .isIn(PROMPT_OPERATIONS)
+        .withMessage('Unknown AI operation'),
+    body('industry')
+        .optional({ checkFalsy: true })
+        .isIn(settings.industries.map(industry => industry.key))
+        .withMessage('Unknown industry'),
+    body('tenant')
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid tenant'),
+    ...promptTextRules,
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Note must be at most 200 characters'),
+    handleValidationErrors
+];
+
+export const validatePromptVersion = [
+    param('templateId').isMongoId().withMessage('Invalid template ID'),
+    ...promptTextRules,
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Note must be at most 200 characters'),
+    handleValidationErrors
+];
+
+export const validatePromptActivation = [
+    param('templateId').isMongoId().withMessage('Invalid template ID'),
+    body('version')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Invalid version'),
+    handleValidationErrors
+];
+
+export const validatePromptPreview = [
+    ...promptTextRules,
+    body(['sample.industry', 'sample.location', 'sample.type', 'sample.lang'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Sample values must be at most 100 characters'),
+    body(['sample.keywords', 'sample.brandVoice'])
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Sample keywords and brand voice must be at most 1000 characters'),
+    handleValidationErrors
+];
+
+export const validatePromptTemplateId = [
+    param('templateId').isMongoId().withMessage('Invalid template ID'),
+    handleValidationErrors
+];
+
+// Tenant brand voice (terms are one per line)
+export const validateBrandVoice = [
+    body('tone')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: brandVoiceLimits.tone })
+        .withMessage(`Tone must be at most ${brandVoiceLimits.tone} characters`),
+    body(['bannedWords', 'mandatoryPhrases'])
+        .optional()
+        .isString()
+        .custom(value => value.split(/\r?\n/).every(term => term.trim().length <= brandVoiceLimits.termLength))
+        .withMessage(`Each word or phrase must be at most ${brandVoiceLimits.termLength} characters`),
+    body('readingLevel')
+        .isIn(Object.keys(readingLevels))
+        .withMessage('Unknown reading level'),
+    body('formality')
+        .isIn(Object.keys(formalities))
+        .withMessage('Unknown formality'),
+    body('sampleCopy')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: brandVoiceLimits.sampleCopy })
+        .withMessage(`Sample copy must be at most ${brandVoiceLimits.sampleCopy} characters`),
+    body('defaultCta')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: brandVoiceLimits.defaultCta })
+        .withMessage(`Call to action must be at most ${brandVoiceLimits.defaultCta} characters`),
+    handleValidationErrors
+];
+
+export const validateSocialCaption = [
+    body('pageId').isMongoId().withMessage('Invalid page ID'),
+    body('platform')
+        .isIn(Object.keys(socialPlatforms))
+        .withMessage('Unknown platform'),
+    handleValidationErrors
+];
+
+// AI usage reports (admin page and API); groupBy is a list or comma separated
+// API page creation: the generation fields, optionally for a tenant
+export const validateApiPageCreation = [
+    body('tenant')
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid tenant'),
+    ...validatePageGeneration
+];
+
+export const validateAiUsageReport = [
+    query('from')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('From must be a date (YYYY-MM-DD)'),
+    query('to')
+        .optional({ checkFalsy: true })
+        .isISO8601()
+        .withMessage('To must be a date (YYYY-MM-DD)'),
+    query('tenant')
+        .optional({ checkFalsy: true })
+        .isMongoId()
+        .withMessage('Invalid tenant'),
+    query('groupBy')
+        .optional({ checkFalsy: true })
+        .customSanitizer(value => [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean))
+        .custom(dimensions => dimensions.every(dimension => REPORT_DIMENSIONS.includes(dimension)))
+        .withMessage(`Group by must be among: ${REPORT_DIMENSIONS.join(', ')}`),
+    handleValidationErrors
+];
@@ -0,0 +1,116 @@
+/**
+ * Migration: canonical_page_keys
+ * Created: 2026-10-19T09:00:00.000Z
+ *
+ * Moves landing pages to the tenant-scoped key scheme in utils/pageKey.js:
+ * - rewrites LandingPage.key on every stored page
+ * - imports pages that only ever lived in the cache under the legacy
+ *   `${industry}-${lang}-${location}-${type}[-${tenantId}]` keys, then drops those keys
+ */
+import LandingPage from "../models/LandingPage.js";
+import { savePage } from "../services/pages.js";
+import {
+    getAllCacheKeysAsync,
+    getFromCacheAsync,
+    deleteFromCacheAsync
+} from "../services/cache.js";
+import { buildPageKey, isPageKey } from "../utils/pageKey.js";
+import { logger } from "../services/logger.js";
+
+// Legacy public route key: industry keys and language codes never contain '-'
+const LEGACY_PUBLIC_KEY = /^([^-]+)-([a-z]{2}(?:-[A-Z]{2})?)-(.+)-([^-]+)$/;
+
+async function rewriteStoredKeys(toKey) {
+    const pages = await LandingPage.find().select('key tenant industry lang location type').lean();
+    const ops = pages
+        .map(page => ({ page, key: toKey(page) }))
+        .filter(({ page, key }) => page.key !== key)
+        .map(({ page, key }) => ({ updateOne: { filter: { _id: page._id }, update: { $set: { key } } } }));
+
+    if (ops.length) {
+        await LandingPage.bulkWrite(ops);
+    }
+    return ops.length;
+}
+
+// Identity and content of a legacy cache entry, or null if it is not a page
+function fromLegacyEntry(key, value) {
+    if (!value || typeof value !== 'object') return null;
+
+    // Mass generator entries carry their own identity
+    if (value.tenantId && value.industry && value.city && value.type && value.language) {
+        return {
+            identity: {
+                tenant: value.tenantId,
+                industry: value.industry,
+                lang: value.language,
+                location: value.city,
+                type: value.type
+            },
+            data: {
+                seoText: value.text,
+                imageUrl: value.imageUrl || null,
+                translations: value.translations || {},
+                keywords: value.keywords || [],
+                seoData: value.seoData
+            }
+        };
+    }
+
+    // Public route entries were served live, so they stay published
+    const match = LEGACY_PUBLIC_KEY.exec(key);
+    if (match && value.seoText) {
+        const [, industry, lang, location, type] = match;
+        return {
+            identity: { tenant: null, industry, lang, location, type },
+            data: {
+                seoText: value.seoText,
+                imageUrl: value.imageUrl || null,
+                translations: value.translations || {},
+                status: 'published',
+                publishedAt: new Date()
+            }
+        };
+    }
+
+    return null;
+}
+
+export async function up() {
+    const rewritten = await rewriteStoredKeys(page => buildPageKey(page));
+
+    let imported = 0;
+    let dropped = 0;
+    const keys = await getAllCacheKeysAsync();
+
+    for (const key of keys) {
+        if (isPageKey(key)) continue;
+
+        const legacy = fromLegacyEntry(key, await getFromCacheAsync(key));
+        if (!legacy || !legacy.data.seoText) continue;
+
+        const existing = await LandingPage.exists({ key: buildPageKey(legacy.identity) });
+        if (!existing) {
+            // savePage also writes the canonical cache entry
+            await savePage(legacy.identity, legacy.data, {
+                source: 'ai',
+                promptParams: { migratedFrom: key }
+            });
+            imported++;
+        }
+
+        await deleteFromCacheAsync(key);
+        dropped++;
+    }
+
+    logger.info('Canonical page key migration completed', { rewritten, imported, dropped });
+}
+
+export async function down() {
+    // Cache entries are rebuilt from the database on demand, so only stored keys are reverted
+    const rewritten = await rewriteStoredKeys(({ industry, lang, location, type, tenant }) =>
+        [industry, lang, location, type, tenant].filter(Boolean).join('-')
+    );
+
+    logger.info('Canonical page key migration rolled back', { rewritten });
+}
@@ -0,0 +1,32 @@
+/**
+ * Migration: localized_page_paths
+ * Created: 2026-10-19T10:00:00.000Z
+ *
+ * Backfills LandingPage.localizedPaths so existing translations get their own
+ * indexable URL. New saves fill it in through services/pages.js.
+ */
+import LandingPage from "../models/LandingPage.js";
+import { buildLocalizedPaths } from "../services/pages.js";
+import { logger } from "../services/logger.js";
+
+export async function up() {
+    const pages = await LandingPage.find({ 'localizedPaths.0': { $exists: false } })
+        .select('industry lang location type translations')
+        .lean();
+
+    const ops = pages.map(page => ({
+        updateOne: {
+            filter: { _id: page._id },
+            update: { $set: { localizedPaths: buildLocalizedPaths(page, page.translations || {}) } }
+        }
+    }));
+
+    if (ops.length) {
+        await LandingPage.bulkWrite(ops);
+    }
+    logger.info('Localized page paths backfilled', { pages: ops.length });
+}
+
+export async function down() {
+    await LandingPage.updateMany({}, { $unset: { localizedPaths: 1 } });
+}
@@ -0,0 +1,23 @@
+/**
+ * Migration: custom_domain_claims
+ * Created: 2026-10-19T11:00:00.000Z
+ *
+ * Replaces the global unique index on CustomDomain.domain with per-tenant claims:
+ * unique per tenant, unique among verified records, and unverified claims expire.
+ */
+import CustomDomain from "../models/CustomDomain.js";
+import { logger } from "../services/logger.js";
+
+export async function up() {
+    // Drops domain_1 (no longer in the schema) and builds the new indexes
+    const dropped = await CustomDomain.syncIndexes();
+    logger.info('Custom domain indexes synced', { dropped });
+}
+
+export async function down() {
+    await CustomDomain.collection.dropIndex('domain_1').catch(() => {});
+    await CustomDomain.collection.dropIndex('tenant_1_domain_1').catch(() => {});
+    await CustomDomain.collection.dropIndex('createdAt_1').catch(() => {});
+    // Fails while several tenants claim the same domain; remove the extra claims first
+    await CustomDomain.collection.createIndex({ domain: 1 }, { unique: true });
+}
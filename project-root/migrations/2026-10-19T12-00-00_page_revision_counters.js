@@ -0,0 +1,32 @@
+/**
+ * Migration: page_revision_counters
+ * Created: 2026-10-19T12:00:00.000Z
+ *
+ * Backfills LandingPage.revisionCount with each page's latest revision number, so
+ * services/revisions.js continues numbering where existing revisions left off.
+ */
+import LandingPage from "../models/LandingPage.js";
+import PageRevision from "../models/PageRevision.js";
+import { logger } from "../services/logger.js";
+
+export async function up() {
+    const latest = await PageRevision.aggregate([
+        { $group: { _id: '$page', revision: { $max: '$revision' } } }
+    ]);
+
+    const ops = latest.map(({ _id, revision }) => ({
+        updateOne: {
+            filter: { _id },
+            update: { $max: { revisionCount: revision } }
+        }
+    }));
+
+    if (ops.length) {
+        await LandingPage.bulkWrite(ops);
+    }
+    logger.info('Page revision counters backfilled', { pages: ops.length });
+}
+
+export async function down() {
+    await LandingPage.updateMany({}, { $unset: { revisionCount: 1 } });
+}
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import settings from "../config/settings.js";
+
+// One AI provider call (services/ai-usage.js). Append-only; expires after
+// settings.ai.usageRetentionDays.
+const aiUsageSchema = new mongoose.Schema({
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null }, // null = platform
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    operation: { type: String, required: true },
+    provider: { type: String, required: true },
+    model: { type: String, required: true },
+    inputTokens: { type: Number, default: 0, min: 0 },
+    outputTokens: { type: Number, default: 0, min: 0 },
+    images: { type: Number, default: 0, min: 0 },
+    // Token counts of streamed replies are estimated from their length
+    estimated: { type: Boolean, default: false },
+    // USD from config/ai-pricing.js; null = model without a price
+    cost: { type: Number, default: null },
+    latencyMs: { type: Number, default: 0 },
+    success: { type: Boolean, default: true },
+    error: { type: String, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// INDEXES
+aiUsageSchema.index({ tenant: 1, createdAt: -1 });
+aiUsageSchema.index({ operation: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: settings.ai.usageRetentionDays * 24 * 60 * 60 });
+
+export default mongoose.model('AiUsage', aiUsageSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import settings from "../config/settings.js";
+
+const customDomainSchema = new mongoose.Schema({
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+    // Several tenants may claim a domain; only one can hold it verified (see INDEXES)
+    domain: { type: String, required: true, lowercase: true, trim: true },
+    method: { type: String, enum: ['txt', 'cname'], default: 'txt' },
+    verificationToken: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'verified', 'failed'],
+        default: 'pending'
+    },
+    verifiedAt: { type: Date },
+    lastCheckedAt: { type: Date },
+    consecutiveFailures: { type: Number, default: 0, min: 0 },
+    lastError: { type: String, default: null },
+    // Tenant.domain before this domain was activated, restored on deactivation
+    previousDomain: { type: String, default: null },
+    history: [{
+        status: String,
+        reason: String,
+        at: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true
+});
+
+// INDEXES
+customDomainSchema.index({ tenant: 1, createdAt: -1 });
+customDomainSchema.index({ status: 1, lastCheckedAt: 1 });
+customDomainSchema.index({ tenant: 1, domain: 1 }, { unique: true });
+customDomainSchema.index({ domain: 1 }, { unique: true, partialFilterExpression: { status: 'verified' } });
+// Claims never verified expire
+customDomainSchema.index({ createdAt: 1 }, {
+    expireAfterSeconds: settings.customDomains.pendingExpiryDays * 24 * 60 * 60,
+    partialFilterExpression: { status: 'pending' }
+});
+
+export default mongoose.model('CustomDomain', customDomainSchema);
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import sectionDefinitions from "../config/sections.js";
+import { PROMPT_OPERATIONS } from "../config/prompts.js";
+
+// One block of the page; array order is render order (see config/sections.js)
+const sectionSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: Object.keys(sectionDefinitions) },
+    // 'ai' sections are replaced when the page content is regenerated
+    source: { type: String, enum: ['manual', 'ai'], default: 'manual' },
+    enabled: { type: Boolean, default: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { minimize: false });
+
+// Prompt template version that wrote a generated text; template null = built-in prompt
+const promptRefSchema = new mongoose.Schema({
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate', default: null },
+    version: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const landingPageSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null },
+    industry: { type: String, required: true, trim: true },
+    lang: { type: String, required: true, trim: true },
+    location: { type: String, required: true, trim: true },
+    type: { type: String, required: true, trim: true },
+    seoText: { type: String, required: true },
+    imageUrl: { type: String, default: null },
+    translations: { type: mongoose.Schema.Types.Mixed, default: {} }, // { [lang]: text }
+
+    // Public URL of each language version (source language first); translations
+    // are served at /market/:industry/:lang/:location/:type with these values
+    localizedPaths: [{
+        _id: false,
+        lang: { type: String, required: true },
+        location: { type: String, required: true },
+        type: { type: String, required: true }
+    }],
+    keywords: [String],
+    // Generated title and H1 of the source language (structured content); null = "<type> in <location>"
+    title: { type: String, trim: true, maxlength: 120, default: null },
+    h1: { type: String, trim: true, maxlength: 120, default: null },
+    // Generated meta description of the source language; null = start of seoText
+    metaDescription: { type: String, trim: true, maxlength: 300, default: null },
+
+    // Ordered page sections; empty = the template's default composition (services/sections.js)
+    sections: [sectionSchema],
+    // Template override (config/templates.js); null = the tenant's default for the industry
+    template: { type: String, default: null },
+    seoData: { type: mongoose.Schema.Types.Mixed },
+    // Per AI operation (config/prompts.js), for comparing prompt versions
+    prompts: Object.fromEntries(PROMPT_OPERATIONS.map(operation => [operation, { type: promptRefSchema, default: undefined }])),
+    // Tenant brand voice check of the copy, refreshed on every save (services/brand-voice.js)
+    voiceCheck: {
+        type: new mongoose.Schema({
+            passes: { type: Boolean, required: true },
+            bannedWords: [String],
+            missingPhrases: [String],
+            checkedAt: { type: Date }
+        }, { _id: false }),
+        default: undefined
+    },
+    // Media library assets the page shows (maintained by savePage, see services/media.js)
+    media: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset' }],
+    status: {
+        type: String,
+        enum: ['draft', 'in_review', 'approved', 'published', 'archived'],
+        default: 'draft'
+    },
+    publishedAt: { type: Date },
+
+    // Generated by a public request; such pages are regenerated in the background
+    // once stale, until someone edits them by hand or moves them through review
+    generatedOnDemand: { type: Boolean, default: false },
+
+    // Last revision number handed out; incremented atomically by services/revisions.js
+    revisionCount: { type: Number, default: 0, min: 0 },
+
+    // Optional publication window, enforced by the public route and flipped by the scheduler
+    publishAt: { type: Date, default: null },
+    unpublishAt: { type: Date, default: null },
+
+    // Editorial workflow: reviewer comments and status transitions
+    comments: [{
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        authorName: String,
+        body: { type: String, trim: true, maxlength: 2000 },
+        fromStatus: String,
+        toStatus: String,
+        createdAt: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// INDEXES
+landingPageSchema.index({ tenant: 1, industry: 1, lang: 1, location: 1, type: 1 }, { unique: true });
+landingPageSchema.index({ tenant: 1, status: 1, updatedAt: -1 });
+landingPageSchema.index({ tenant: 1, industry: 1, 'localizedPaths.lang': 1, 'localizedPaths.location': 1, 'localizedPaths.type': 1 });
+landingPageSchema.index({ industry: 1, lang: 1 });
+landingPageSchema.index({ status: 1, publishAt: 1 });
+landingPageSchema.index({ status: 1, unpublishAt: 1 });
+landingPageSchema.index({ keywords: 1 });
+landingPageSchema.index({ tenant: 1, media: 1 });
+landingPageSchema.index({ 'prompts.description.template': 1, 'prompts.description.version': 1 });
+landingPageSchema.index({ 'prompts.structured.template': 1, 'prompts.structured.version': 1 });
+
+export default mongoose.model('LandingPage', landingPageSchema);
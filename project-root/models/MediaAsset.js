@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Stored rendition of an upload; key is relative to the storage backend
+const fileSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    contentType: { type: String, required: true },
+    width: Number,
+    height: Number,
+    size: Number
+}, { _id: false });
+
+const mediaAssetSchema = new mongoose.Schema({
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+    kind: { type: String, enum: ['image', 'logo'], default: 'image' },
+    originalName: { type: String, trim: true, maxlength: 255 },
+    alt: { type: String, trim: true, maxlength: 300, default: '' },
+    // Backend the files were written to (services/storage.js)
+    storage: { type: String, enum: ['local', 's3'], required: true },
+    width: Number,
+    height: Number,
+    // Responsive WebP renditions, smallest first; url is the largest
+    url: { type: String, required: true },
+    variants: [fileSchema],
+    // PNG favicons and favicon.ico, generated for logos
+    favicons: [{
+        _id: false,
+        rel: { type: String, required: true },
+        sizes: String,
+        file: fileSchema
+    }],
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+    timestamps: true
+});
+
+// INDEXES
+mediaAssetSchema.index({ tenant: 1, createdAt: -1 });
+
+export default mongoose.model('MediaAsset', mediaAssetSchema);
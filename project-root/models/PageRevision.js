@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Every save of a landing page is snapshotted here. Revisions are append-only.
+const pageRevisionSchema = new mongoose.Schema({
+    page: { type: mongoose.Schema.Types.ObjectId, ref: 'LandingPage', required: true, immutable: true },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null, immutable: true },
+    revision: { type: Number, required: true, min: 1, immutable: true },
+    seoText: { type: String, required: true, immutable: true },
+    imageUrl: { type: String, default: null, immutable: true },
+    translations: { type: mongoose.Schema.Types.Mixed, default: {}, immutable: true },
+    // Not set on revisions recorded before pages had sections
+    sections: { type: mongoose.Schema.Types.Mixed, immutable: true },
+    // SEO fields; not set on revisions recorded before they were snapshotted
+    title: { type: String, immutable: true },
+    h1: { type: String, immutable: true },
+    metaDescription: { type: String, immutable: true },
+    keywords: { type: [String], default: undefined, immutable: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, immutable: true },
+    source: {
+        type: String,
+        enum: ['ai', 'manual', 'translation'],
+        required: true,
+        immutable: true
+    },
+    promptParams: { type: mongoose.Schema.Types.Mixed, default: {}, immutable: true },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'PageRevision', default: null, immutable: true }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+// INDEXES
+pageRevisionSchema.index({ page: 1, revision: -1 }, { unique: true });
+pageRevisionSchema.index({ tenant: 1, createdAt: -1 });
+
+// Block in-place edits; history must never be rewritten
+pageRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+    next(new Error('Page revisions are immutable'));
+});
+
+pageRevisionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Page revisions are immutable'));
+    }
+    next();
+});
+
+export default mongoose.model('PageRevision', pageRevisionSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { PROMPT_OPERATIONS, MAX_PROMPT_LENGTH } from "../config/prompts.js";
+
+// Versions are append-only: editing a template adds a version, and pages record
+// the version that wrote them (LandingPage.prompts)
+const promptVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true, min: 1 },
+    system: { type: String, required: true, maxlength: 2000 },
+    body: { type: String, required: true, maxlength: MAX_PROMPT_LENGTH },
+    note: { type: String, trim: true, maxlength: 200, default: '' },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+    _id: false,
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const promptTemplateSchema = new mongoose.Schema({
+    operation: { type: String, required: true, enum: PROMPT_OPERATIONS },
+    // Scope; null = every industry / every tenant. The most specific match wins (services/prompts.js)
+    industry: { type: String, default: null },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null },
+    activeVersion: { type: Number, required: true, min: 1 },
+    versions: [promptVersionSchema]
+}, {
+    timestamps: true
+});
+
+// INDEXES
+promptTemplateSchema.index({ operation: 1, tenant: 1, industry: 1 }, { unique: true });
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
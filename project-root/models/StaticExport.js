@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const staticExportSchema = new mongoose.Schema({
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', default: null }, // null = platform pages
+    incremental: { type: Boolean, default: false },
+    // Pages updated after this date were included (incremental exports only)
+    since: { type: Date, default: null },
+    // Origin the exported site will be served from (canonical, hreflang, sitemap)
+    baseUrl: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    filename: { type: String },
+    size: { type: Number, default: 0 },
+    pageCount: { type: Number, default: 0 },
+    fileCount: { type: Number, default: 0 },
+    // URL paths of all live page versions at export time; the next export lists the ones gone since
+    livePaths: { type: [String], default: [] },
+    error: { type: String, default: null }
+}, {
+    timestamps: true
+});
+
+// INDEXES
+staticExportSchema.index({ tenant: 1, status: 1, completedAt: -1 });
+staticExportSchema.index({ createdAt: -1 });
+
+export default mongoose.model('StaticExport', staticExportSchema);
@@ -1,13 +1,80 @@
 import mongoose from "mongoose";
+import { fonts, buttonStyles, darkModes, MAX_CUSTOM_CSS } from "../config/themes.js";
+import { readingLevels, formalities, brandVoiceLimits } from "../config/brand-voice.js";
+
+const hexColor = { type: String, match: /^#[0-9a-f]{6}$/i };
 
 const TenantSchema = new mongoose.Schema({
     name: String,
-    domain: String,
+    domain: { type: String, lowercase: true, trim: true },
+    aliasDomains: [{ type: String, lowercase: true, trim: true }],
     logoUrl: String,
     primaryColor: String,
     allowedIndustries: [String],
     allowedLanguages: [String],
-    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' }
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+
+    // robots.txt rules served on the tenant's domains
+    robots: {
+        blockAll: { type: Boolean, default: false }, // e.g. staging domains
+        disallow: [String],
+        crawlDelay: { type: Number, min: 0, max: 60, default: null }
+    },
+
+    // Site theme (services/theme.js); unset values use the platform defaults
+    theme: {
+        palette: {
+            primary: hexColor,
+            secondary: hexColor,
+            background: hexColor,
+            text: hexColor
+        },
+        headingFont: { type: String, enum: Object.keys(fonts) },
+        bodyFont: { type: String, enum: Object.keys(fonts) },
+        borderRadius: { type: Number, min: 0, max: 32 },
+        buttonStyle: { type: String, enum: buttonStyles },
+        darkMode: { type: String, enum: darkModes },
+        customCss: { type: String, maxlength: MAX_CUSTOM_CSS } // sanitized on save
+    },
+
+    // Favicon set of a media library logo (services/media.js)
+    favicon: {
+        asset: { type: mongoose.Schema.Types.ObjectId, ref: 'MediaAsset', default: null },
+        links: [{
+            _id: false,
+            rel: String,
+            sizes: String,
+            type: { type: String },
+            href: String
+        }]
+    },
+
+    // Brand voice applied to all generated copy and checked on save (services/brand-voice.js)
+    brandVoice: {
+        tone: { type: String, trim: true, maxlength: brandVoiceLimits.tone, default: '' },
+        bannedWords: [{ type: String, trim: true, maxlength: brandVoiceLimits.termLength }],
+        mandatoryPhrases: [{ type: String, trim: true, maxlength: brandVoiceLimits.termLength }],
+        readingLevel: { type: String, enum: Object.keys(readingLevels), default: 'standard' },
+        formality: { type: String, enum: Object.keys(formalities), default: 'neutral' },
+        sampleCopy: { type: String, trim: true, maxlength: brandVoiceLimits.sampleCopy, default: '' },
+        defaultCta: { type: String, trim: true, maxlength: brandVoiceLimits.defaultCta, default: '' }
+    },
+
+    // AI model per operation as "<provider>:<model>" (services/llm); unset = platform default
+    aiModels: { type: Map, of: String, default: {} },
+
+    // Default landing page template per industry key (config/templates.js)
+    pageTemplates: { type: Map, of: String, default: {} },
+
+    // HTTP cache lifetimes (seconds) for public pages; null = platform default
+    caching: {
+        maxAge: { type: Number, min: 0, default: null },
+        sMaxAge: { type: Number, min: 0, default: null },
+        staleWhileRevalidate: { type: Number, min: 0, default: null }
+    }
 });
 
+TenantSchema.index({ domain: 1 }, { unique: true, sparse: true });
+TenantSchema.index({ aliasDomains: 1 });
+
 export default mongoose.model('Tenant', TenantSchema);
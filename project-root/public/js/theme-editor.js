@@ -0,0 +1,69 @@
+// Theme editor: live preview and WCAG AA contrast check.
+// Contrast is checked by the server (POST /tenant/theme/contrast, services/theme.js),
+// the same code that enforces it on save.
+
+async function checkContrast(form) {
+    const response = await fetch('/tenant/theme/contrast', {
+        method: 'POST',
+        body: new URLSearchParams(new FormData(form)),
+        credentials: 'same-origin'
+    });
+    if (!response.ok) throw new Error(`Contrast check failed: HTTP ${response.status}`);
+    return response.json();
+}
+
+function renderContrast(checks) {
+    const tbody = document.getElementById('contrast-results');
+    tbody.replaceChildren(...checks.map(check => {
+        const row = document.createElement('tr');
+        const sample = document.createElement('span');
+        sample.textContent = 'Aa';
+        sample.style.cssText = `background: ${check.background}; color: ${check.foreground}; padding: 0 0.5rem;`;
+
+        const cells = [check.label, check.mode, `${check.ratio}:1`, `${check.required}:1`, check.passes ? 'Pass' : 'Fail']
+            .map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+        cells[0].prepend(sample, ' ');
+        row.append(...cells);
+        return row;
+    }));
+}
+
+function initThemeEditor() {
+    const form = document.getElementById('theme-form');
+    const previewButton = document.getElementById('preview-button');
+    if (!form) return;
+    const saveButton = form.querySelector('button:not([formaction])');
+
+    let timer;
+    let latest = 0;
+    const update = () => {
+        // Debounced so typing custom CSS does not reload the preview on every key
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            form.requestSubmit(previewButton);
+
+            // Only the answer to the latest change is shown
+            const request = ++latest;
+            try {
+                const checks = await checkContrast(form);
+                if (request !== latest) return;
+                renderContrast(checks);
+                saveButton.disabled = checks.some(check => !check.passes);
+            } catch (error) {
+                // Saving still checks contrast on the server
+                console.error(error);
+                saveButton.disabled = false;
+            }
+        }, 500);
+    };
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.requestSubmit(previewButton);
+}
+
+document.addEventListener('DOMContentLoaded', initThemeEditor);
@@ -0,0 +1,44 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateAiUsageReport } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { getUsageReport, getUsageTotals, parseReportFilter, REPORT_DIMENSIONS } from "../../services/ai-usage.js";
+import settings from "../../config/settings.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+/**
+ * GET /admin/ai-usage - tokens, cost and latency of AI calls per day, tenant and operation
+ */
+router.get("/ai-usage",
+    requireAuth,
+    requireRole("admin"),
+    validateAiUsageReport,
+    asyncHandler(async (req, res) => {
+        const filter = parseReportFilter(req.query);
+        const groupBy = req.query.groupBy || ["day", "tenant", "operation"];
+
+        const [rows, totals, tenants] = await Promise.all([
+            getUsageReport(filter, groupBy),
+            getUsageTotals(filter),
+            Tenant.find().select("name").sort({ name: 1 }).lean()
+        ]);
+
+        res.render("admin/ai-usage", {
+            title: "AI Usage",
+            siteName: settings.siteName,
+            user: req.user,
+            currentPage: "ai-usage",
+            rows,
+            totals,
+            tenants,
+            filter,
+            groupBy,
+            dimensions: REPORT_DIMENSIONS,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+export default router;
@@ -1,22 +1,25 @@
 import express from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
-import { getAllCacheKeys } from "../../services/cache.js";
+import { listPages } from "../../services/pages.js";
 import { analyzeTraffic } from "../../services/analytics.js";
+import { getAiUsageStats } from "../../services/ai.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
 import settings from "../../config/settings.js";
 
 const router = express.Router();
 
 // Admin dashboard
-router.get("/", requireAuth, requireRole("admin"), async (req, res) => {
-    const keys = getAllCacheKeys();
+router.get("/", requireAuth, requireRole("admin"), asyncHandler(async (req, res) => {
+    const keys = (await listPages()).map(p => p.key);
     const analytics = await analyzeTraffic(
         keys.map(k => ({ url: `${settings.baseUrl}/market/${k}` }))
     );
 
     res.render("admin/dashboard", {
         keys,
-        analytics
+        analytics,
+        aiUsage: await getAiUsageStats()
     });
-});
+}));
 
 export default router;
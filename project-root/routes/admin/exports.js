@@ -0,0 +1,70 @@
+import express from "express";
+import fs from "fs";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateStaticExport, validateExportId } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { staticExportService } from "../../services/static-export.js";
+import Tenant from "../../models/Tenant.js";
+import settings from "../../config/settings.js";
+
+const router = express.Router();
+
+/**
+ * GET /admin/exports - static site exports and the form to start one
+ */
+router.get("/exports",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+        const [exports, tenants] = await Promise.all([
+            staticExportService.listExports(),
+            Tenant.find().select('name domain').sort({ name: 1 }).lean()
+        ]);
+
+        res.render("admin/exports", {
+            title: "Static Exports",
+            siteName: settings.siteName,
+            user: req.user,
+            currentPage: 'exports',
+            exports,
+            tenants,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+/**
+ * POST /admin/exports - start an export job (runs in the background)
+ */
+router.post("/exports",
+    requireAuth,
+    requireRole("admin"),
+    validateStaticExport,
+    asyncHandler(async (req, res) => {
+        await staticExportService.requestExport(req.body.tenant || null, {
+            incremental: req.body.incremental === true,
+            baseUrl: req.body.baseUrl || null,
+            requestedBy: req.user._id
+        });
+        res.redirect("/admin/exports");
+    })
+);
+
+/**
+ * GET /admin/exports/:exportId/download - the export zip
+ */
+router.get("/exports/:exportId/download",
+    requireAuth,
+    requireRole("admin"),
+    validateExportId,
+    asyncHandler(async (req, res) => {
+        const record = await staticExportService.getExport(req.params.exportId);
+        const file = record?.status === 'completed' && staticExportService.getExportFile(record);
+        if (!file || !fs.existsSync(file)) {
+            return res.status(404).send('Export not found');
+        }
+        res.download(file, record.filename);
+    })
+);
+
+export default router;
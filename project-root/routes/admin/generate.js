@@ -5,10 +5,12 @@ import { validatePageGeneration } from "../../middleware/validation.js";
 import { asyncHandler } from "../../middleware/errorHandler.js";
 import { aiLogger } from "../../services/logger.js"; // ✅ ADD MISSING IMPORT
 import settings from "../../config/settings.js";
-import { generateDescription } from "../../services/ai.js";
+import { generateDescriptionDetailed, generateMetaDescription } from "../../services/ai.js";
 import { generateImage } from "../../services/images.js";
 import { translateText } from "../../services/translate.js";
-import { saveToCache } from "../../services/cache.js";
+import { savePage } from "../../services/pages.js";
+import { generateFaqSections } from "../../services/faq.js";
+import { generateStructuredContent } from "../../services/page-generation.js";
 
 const router = express.Router();
 
@@ -16,7 +18,7 @@ const router = express.Router();
  * GET /admin/generate
  * Render the page generation form for admin
  */
-router.get("/generate", requireAuth, requireRole("admin"), (req, res) => {
+router.get("/generate", requireAuth, requireRole("admin", "editor"), (req, res) => {
     res.render("admin/generate", {
         industries: settings.industries,
         languages: settings.languages,
@@ -25,7 +27,8 @@ router.get("/generate", requireAuth, requireRole("admin"), (req, res) => {
         siteName: settings.siteName,
         user: req.user,
         VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY,
-        title: 'Generate Page'
+        title: 'Generate Page',
+        structuredContent: settings.pageGeneration.structuredContent
     });
 });
 
@@ -36,18 +39,32 @@ router.get("/generate", requireAuth, requireRole("admin"), (req, res) => {
 router.post(
     "/generate",
     requireAuth,
-    requireRole("admin"),
+    requireRole("admin", "editor"),
     validatePageGeneration, // ✅ Keep validation
     checkGenerationLimit,
     asyncHandler(async (req, res) => {
         const startTime = Date.now();
-        const { industry, location, type, lang, previewTranslations, content } = req.body; // ✅ ADD content from original
+        const { industry, location, type, lang, previewTranslations, content, structured } = req.body; // ✅ ADD content from original
 
         try {
+            // Structured content (title, H1, meta, text, features, CTA, FAQ) when asked for;
+            // free text if that fails
+            // Platform pages: AI usage is recorded for the admin, without a tenant
+            const usage = { userId: req.user.id };
+            const structuredContent = !(content && content.trim()) && structured === 'true'
+                ? await generateStructuredContent({ industry, lang, location, type }, usage)
+                : null;
+
             // ✅ RESTORE ORIGINAL LOGIC: Use custom content if provided, otherwise generate
-            const seoText = content && content.trim() 
-                ? content.trim()
-                : await generateDescription(industry, location, type, lang);
+            const generated = structuredContent || (content && content.trim())
+                ? null
+                : await generateDescriptionDetailed(industry, location, type, lang, null, usage);
+            const seoText = structuredContent ? structuredContent.seoText
+                : generated ? generated.description : content.trim();
+            // Custom content keeps the start of the text as meta description
+            const metaDescription = generated
+                ? await generateMetaDescription(seoText, lang, usage).catch(() => null)
+                : null;
 
             // Log AI operation start
             aiLogger.info('Page generation started', {
@@ -57,26 +74,47 @@ router.post(
                 type,
                 lang,
                 hasCustomContent: !!(content && content.trim()),
+                structured: !!structuredContent,
                 timestamp: new Date()
             });
 
             // Step 2: Generate image if enabled
             const imageUrl = settings.modules.aiImages
-                ? await generateImage(`${industry} ${type} in ${location}, ${lang}`)
+                ? await generateImage(`${industry} ${type} in ${location}, ${lang}`, usage)
                 : null;
 
             // Step 3: Pretranslate into other languages for this tenant
             const tenantLanguages = settings.languages.map(l => l.code).filter(lc => lc !== lang);
             const translations = {};
             for (const tLang of tenantLanguages) {
-                translations[tLang] = await translateText(seoText, tLang);
+                translations[tLang] = await translateText(seoText, tLang, usage);
             }
 
-            // Step 4: Save data in cache
-            const cacheKey = `${industry}-${lang}-${location}-${type}`;
-            saveToCache(cacheKey, { seoText, imageUrl, translations });
+            // Step 4: FAQ section for free-text AI pages (custom content keeps its sections)
+            const sections = generated
+                ? await generateFaqSections({ industry, lang, location, type }, usage)
+                : null;
+
+            // Step 5: Persist the page (the page store refreshes the cache)
+            await savePage({ industry, lang, location, type }, structuredContent ? {
+                ...structuredContent,
+                imageUrl,
+                translations
+            } : {
+                seoText,
+                metaDescription,
+                title: null,
+                h1: null,
+                imageUrl,
+                translations,
+                ...(sections && { sections }),
+                ...(generated && { prompts: { description: generated.prompt } })
+            }, {
+                author: req.user._id,
+                source: content && content.trim() ? 'manual' : 'ai'
+            });
 
-            // Step 5: Increment user's counter (plan usage)
+            // Step 6: Increment user's counter (plan usage)
             req.user.generatedThisMonth += 1;
             await req.user.save();
 
@@ -95,7 +133,7 @@ router.post(
                 timestamp: new Date()
             });
 
-            // Step 6: Redirect to the generated page (public route)
+            // Step 7: Redirect to the generated page (public route)
             const previewFlag = previewTranslations ? "?previewTranslations=true" : "";
             res.redirect(`/market/${industry}/${lang}/${location}/${type}${previewFlag}`);
 
@@ -0,0 +1,185 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import {
+    validateRevisionDiff,
+    validateRevisionRestore,
+    validatePageTransition,
+    validatePageComment,
+    validatePageSchedule
+} from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { logger } from "../../services/logger.js";
+import { listPages, getPageById, restoreRevision } from "../../services/pages.js";
+import { listRevisions, compareRevisions } from "../../services/revisions.js";
+import {
+    EDITORIAL_ROLES,
+    allowedTransitions,
+    transitionPage,
+    addPageComment,
+    getReviewQueue,
+    schedulePage
+} from "../../services/workflow.js";
+import settings from "../../config/settings.js";
+
+const router = express.Router();
+
+/**
+ * GET /admin/pages - all stored landing pages
+ */
+router.get("/pages",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    asyncHandler(async (req, res) => {
+        const pages = (await listPages({}, { limit: 500 })).map(p => ({
+            ...p,
+            transitions: allowedTransitions(p.status, req.user.role)
+        }));
+
+        res.render("admin/pages", {
+            title: "Landing Pages",
+            siteName: settings.siteName,
+            user: req.user,
+            currentPage: 'pages',
+            pages,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+/**
+ * GET /admin/pages/:pageId/revisions - revision history with word diff (?from=&to=)
+ */
+router.get("/pages/:pageId/revisions",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    validateRevisionDiff,
+    asyncHandler(async (req, res) => {
+        const page = await getPageById(req.params.pageId);
+        if (!page) {
+            return res.status(404).json({ success: false, message: 'Page not found' });
+        }
+
+        const revisions = await listRevisions(page._id);
+        const comparison = compareRevisions(revisions, req.query.from, req.query.to);
+
+        res.render("admin/revisions", {
+            title: "Page History",
+            siteName: settings.siteName,
+            user: req.user,
+            currentPage: 'pages',
+            page,
+            revisions,
+            comparison,
+            basePath: `/admin/pages/${page._id}/revisions`,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+/**
+ * POST /admin/pages/:pageId/revisions/:revisionId/restore
+ */
+router.post("/pages/:pageId/revisions/:revisionId/restore",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    validateRevisionRestore,
+    asyncHandler(async (req, res) => {
+        const { pageId, revisionId } = req.params;
+        const page = await restoreRevision(pageId, revisionId, { author: req.user._id });
+
+        if (!page) {
+            return res.status(404).json({ success: false, message: 'Revision not found' });
+        }
+
+        logger.info('Page revision restored', {
+            userId: req.user.id,
+            pageId,
+            revisionId
+        });
+
+        res.redirect(`/admin/pages/${pageId}/revisions`);
+    })
+);
+
+/**
+ * GET /admin/review - pages waiting for review or publication
+ */
+router.get("/review",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    asyncHandler(async (req, res) => {
+        const queue = (await getReviewQueue()).map(p => ({
+            ...p,
+            transitions: allowedTransitions(p.status, req.user.role)
+        }));
+
+        res.render("admin/review", {
+            title: "Review Queue",
+            siteName: settings.siteName,
+            user: req.user,
+            currentPage: 'review',
+            queue,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+/**
+ * POST /admin/pages/:pageId/status - move a page through the workflow
+ */
+router.post("/pages/:pageId/status",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    validatePageTransition,
+    asyncHandler(async (req, res) => {
+        const { status, comment } = req.body;
+        const page = await transitionPage(req.params.pageId, status, req.user, comment);
+
+        if (!page) {
+            return res.status(404).json({ success: false, message: 'Page not found' });
+        }
+
+        res.redirect('/admin/review');
+    })
+);
+
+/**
+ * POST /admin/pages/:pageId/comments - reviewer comment
+ */
+router.post("/pages/:pageId/comments",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    validatePageComment,
+    asyncHandler(async (req, res) => {
+        const page = await addPageComment(req.params.pageId, req.user, req.body.comment);
+
+        if (!page) {
+            return res.status(404).json({ success: false, message: 'Page not found' });
+        }
+
+        res.redirect('/admin/review');
+    })
+);
+
+/**
+ * POST /admin/pages/:pageId/schedule - set or clear the publication window
+ */
+router.post("/pages/:pageId/schedule",
+    requireAuth,
+    requireRole(...EDITORIAL_ROLES),
+    validatePageSchedule,
+    asyncHandler(async (req, res) => {
+        const page = await schedulePage(req.params.pageId, {
+            publishAt: req.body.publishAt || null,
+            unpublishAt: req.body.unpublishAt || null
+        }, req.user);
+
+        if (!page) {
+            return res.status(404).json({ success: false, message: 'Page not found' });
+        }
+
+        res.redirect('/admin/pages');
+    })
+);
+
+export default router;
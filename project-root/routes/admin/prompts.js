@@ -0,0 +1,179 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import {
+    validatePromptTemplate,
+    validatePromptTemplateId,
+    validatePromptVersion,
+    validatePromptActivation,
+    validatePromptPreview
+} from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { promptService } from "../../services/prompts.js";
+import { PROMPT_OPERATIONS, PROMPT_VARIABLES, defaultPrompts } from "../../config/prompts.js";
+import settings from "../../config/settings.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Service errors with a 4xx status are shown to the admin as they are
+function sendKnownError(res, error) {
+    if (!error.statusCode || error.statusCode >= 500) throw error;
+    res.status(error.statusCode).send(error.message);
+}
+
+function viewLocals(req) {
+    return {
+        siteName: settings.siteName,
+        user: req.user,
+        currentPage: 'prompts',
+        operations: PROMPT_OPERATIONS,
+        variables: PROMPT_VARIABLES,
+        defaultPrompts,
+        industries: settings.industries,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    };
+}
+
+/**
+ * GET /admin/prompts - prompt templates by scope, and the form to add one
+ */
+router.get("/prompts",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+        const [templates, tenants] = await Promise.all([
+            promptService.listTemplates(),
+            Tenant.find().select('name').sort({ name: 1 }).lean()
+        ]);
+
+        res.render("admin/prompts", {
+            title: "Prompt Templates",
+            ...viewLocals(req),
+            templates,
+            tenants
+        });
+    })
+);
+
+/**
+ * POST /admin/prompts - first version of a template for a scope
+ * (a new version if the scope already has a template)
+ */
+router.post("/prompts",
+    requireAuth,
+    requireRole("admin"),
+    validatePromptTemplate,
+    asyncHandler(async (req, res) => {
+        try {
+            const template = await promptService.saveVersion({
+                operation: req.body.operation,
+                industry: req.body.industry || null,
+                tenant: req.body.tenant || null,
+                system: req.body.system,
+                body: req.body.body,
+                note: req.body.note,
+                author: req.user._id
+            });
+            res.redirect(`/admin/prompts/${template._id}`);
+        } catch (error) {
+            sendKnownError(res, error);
+        }
+    })
+);
+
+/**
+ * POST /admin/prompts/preview - template text rendered with sample values (plain text)
+ */
+router.post("/prompts/preview",
+    requireAuth,
+    requireRole("admin"),
+    validatePromptPreview,
+    asyncHandler(async (req, res) => {
+        const sample = req.body.sample || {};
+        const { system, prompt } = promptService.preview(req.body, {
+            industry: sample.industry || "real-estate",
+            location: sample.location || "Madrid",
+            type: sample.type || "apartment",
+            lang: sample.lang || "en",
+            keywords: sample.keywords,
+            brandVoice: sample.brandVoice
+        });
+
+        res.set("Cache-Control", "no-store");
+        res.type("text/plain").send(`SYSTEM\n${system}\n\nPROMPT\n${prompt}`);
+    })
+);
+
+/**
+ * GET /admin/prompts/:templateId - version history with the pages each version wrote
+ */
+router.get("/prompts/:templateId",
+    requireAuth,
+    requireRole("admin"),
+    validatePromptTemplateId,
+    asyncHandler(async (req, res) => {
+        const template = await promptService.getTemplate(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Prompt template not found');
+        }
+        const stats = await promptService.getVersionStats(template);
+
+        res.render("admin/prompt-template", {
+            title: "Prompt Template",
+            ...viewLocals(req),
+            template,
+            active: template.versions.find(v => v.version === template.activeVersion),
+            versions: [...template.versions].reverse(),
+            stats
+        });
+    })
+);
+
+/**
+ * POST /admin/prompts/:templateId/versions - save an edit as a new active version
+ */
+router.post("/prompts/:templateId/versions",
+    requireAuth,
+    requireRole("admin"),
+    validatePromptVersion,
+    asyncHandler(async (req, res) => {
+        const template = await promptService.getTemplate(req.params.templateId);
+        if (!template) {
+            return res.status(404).send('Prompt template not found');
+        }
+
+        try {
+            await promptService.saveVersion({
+                operation: template.operation,
+                industry: template.industry,
+                tenant: template.tenant,
+                system: req.body.system,
+                body: req.body.body,
+                note: req.body.note,
+                author: req.user._id
+            });
+            res.redirect(`/admin/prompts/${template._id}`);
+        } catch (error) {
+            sendKnownError(res, error);
+        }
+    })
+);
+
+/**
+ * POST /admin/prompts/:templateId/activate - switch to an earlier or later version
+ */
+router.post("/prompts/:templateId/activate",
+    requireAuth,
+    requireRole("admin"),
+    validatePromptActivation,
+    asyncHandler(async (req, res) => {
+        try {
+            await promptService.activateVersion(req.params.templateId, req.body.version);
+            res.redirect(`/admin/prompts/${req.params.templateId}`);
+        } catch (error) {
+            sendKnownError(res, error);
+        }
+    })
+);
+
+export default router;
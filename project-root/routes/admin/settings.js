@@ -1,9 +1,12 @@
 import express from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
 import { body } from "express-validator";
-import { handleValidationErrors } from "../../middleware/validation.js";
+import { handleValidationErrors, validateTenantAiModels } from "../../middleware/validation.js";
 import { asyncHandler } from "../../middleware/errorHandler.js";
+import { AI_OPERATIONS, llmService } from "../../services/llm/index.js";
+import { logger } from "../../services/logger.js";
 import settings from "../../config/settings.js";
+import Tenant from "../../models/Tenant.js";
 
 const router = express.Router();
 
@@ -26,7 +29,12 @@ const validateSettings = [
 router.get("/settings", 
     requireAuth, 
     requireRole("admin"), 
-    (req, res) => {
+    asyncHandler(async (req, res) => {
+        const tenants = await Tenant.find().select("name").sort({ name: 1 }).lean();
+        const tenant = req.query.tenant && /^[0-9a-f]{24}$/i.test(req.query.tenant)
+            ? await Tenant.findById(req.query.tenant).select("name aiModels").lean()
+            : null;
+
         res.render("admin/settings", {
             title: "Platform Settings",
             siteName: process.env.SITE_NAME || "AI Landing Platform",
@@ -38,9 +46,46 @@ router.get("/settings",
                 modules: settings.modules,
                 industries: settings.industries
             },
+            aiModels: {
+                operations: AI_OPERATIONS.map(key => ({ key, defaultModel: settings.ai.models[key] })),
+                providers: Object.entries(settings.ai.providers).map(([name, config]) => ({ name, type: config.type })),
+                tenants,
+                tenant
+            },
             VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
         });
-    }
+    })
+);
+
+// Per-tenant AI model overrides
+router.post("/settings/ai-models/:tenantId",
+    requireAuth,
+    requireRole("admin"),
+    validateTenantAiModels,
+    asyncHandler(async (req, res) => {
+        const aiModels = {};
+        for (const operation of AI_OPERATIONS) {
+            const ref = req.body.models?.[operation];
+            if (!ref) continue;
+            if (!llmService.supports(operation, ref)) {
+                return res.status(400).send(`${ref} cannot run ${operation}: unknown provider or unsupported operation`);
+            }
+            aiModels[operation] = ref;
+        }
+
+        const tenant = await Tenant.findByIdAndUpdate(req.params.tenantId, { aiModels });
+        if (!tenant) {
+            return res.status(404).send('Tenant not found');
+        }
+
+        logger.info('Tenant AI models updated', {
+            userId: req.user.id,
+            tenantId: req.params.tenantId,
+            aiModels
+        });
+
+        res.redirect(`/admin/settings?tenant=${req.params.tenantId}`);
+    })
 );
 
 // POST endpoint to update settings
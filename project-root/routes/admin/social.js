@@ -1,45 +1,89 @@
 import express from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateSocialCaption } from "../../middleware/validation.js";
 import { asyncHandler } from "../../middleware/errorHandler.js";
+import { generateSocialCaption } from "../../services/ai.js";
+import { listPages, getPageById } from "../../services/pages.js";
+import { loadBrandVoice, checkBrandVoice } from "../../services/brand-voice.js";
+import { socialPlatforms } from "../../services/social.js";
+import { logger } from "../../services/logger.js";
 
 const router = express.Router();
 
+async function renderSocial(req, res, { caption = null } = {}) {
+    // Mock social platform connections - replace with real data
+    const platforms = [
+        {
+            name: 'Facebook',
+            connected: false,
+            lastPost: null,
+            followers: 0
+        },
+        {
+            name: 'Twitter', 
+            connected: false,
+            lastPost: null,
+            followers: 0
+        },
+        {
+            name: 'LinkedIn',
+            connected: false,
+            lastPost: null,
+            followers: 0
+        }
+    ];
+
+    const recentPosts = [];
+    const pages = await listPages({ status: 'published' }, { limit: 50 });
+
+    res.render("admin/social", {
+        title: "Social Media",
+        siteName: process.env.SITE_NAME || "AI Landing Platform",
+        user: req.user,
+        currentPage: 'social',
+        platforms,
+        recentPosts,
+        pages,
+        captionPlatforms: socialPlatforms,
+        caption,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    });
+}
+
 router.get("/social", 
     requireAuth, 
     requireRole("admin"), 
     asyncHandler(async (req, res) => {
-        // Mock social platform connections - replace with real data
-        const platforms = [
-            {
-                name: 'Facebook',
-                connected: false,
-                lastPost: null,
-                followers: 0
-            },
-            {
-                name: 'Twitter', 
-                connected: false,
-                lastPost: null,
-                followers: 0
-            },
-            {
-                name: 'LinkedIn',
-                connected: false,
-                lastPost: null,
-                followers: 0
-            }
-        ];
-
-        const recentPosts = [];
-
-        res.render("admin/social", {
-            title: "Social Media",
-            siteName: process.env.SITE_NAME || "AI Landing Platform",
-            user: req.user,
-            currentPage: 'social',
-            platforms,
-            recentPosts,
-            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        await renderSocial(req, res);
+    })
+);
+
+/**
+ * POST /admin/social/caption - AI post text for a published page, in its tenant's brand voice
+ */
+router.post("/social/caption",
+    requireAuth,
+    requireRole("admin"),
+    validateSocialCaption,
+    asyncHandler(async (req, res) => {
+        const page = await getPageById(req.body.pageId);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const text = await generateSocialCaption(page, req.body.platform, { tenant: page.tenant });
+        const voice = await loadBrandVoice(page.tenant);
+        const voiceCheck = voice && checkBrandVoice(text, voice);
+
+        logger.info('Social caption generated', {
+            userId: req.user.id,
+            pageId: page._id,
+            platform: req.body.platform,
+            voicePasses: voiceCheck ? voiceCheck.passes : null
+        });
+
+        await renderSocial(req, res, {
+            caption: { text, pageId: String(page._id), platform: req.body.platform, voiceCheck }
         });
     })
 );
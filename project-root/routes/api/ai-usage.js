@@ -0,0 +1,30 @@
+import express from "express";
+import { requireRole } from "../../middleware/auth.js";
+import { validateAiUsageReport } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { getUsageReport, getUsageTotals, parseReportFilter } from "../../services/ai-usage.js";
+import { getAiUsageStats } from "../../services/ai.js";
+
+const router = express.Router();
+
+// Reports cover every tenant's usage and cost, so they need an admin session, not just the shared API key
+router.use("/ai-usage", requireRole("admin"));
+
+// Usage report: ?from=YYYY-MM-DD&to=YYYY-MM-DD&tenant=<id>&groupBy=day,tenant,operation,model
+router.get("/ai-usage", validateAiUsageReport, asyncHandler(async (req, res) => {
+    const { dates, ...filter } = parseReportFilter(req.query);
+    const groupBy = req.query.groupBy || ["day", "tenant", "operation"];
+
+    const [rows, totals] = await Promise.all([
+        getUsageReport(filter, groupBy),
+        getUsageTotals(filter)
+    ]);
+    res.json({ ...dates, tenant: filter.tenant, groupBy, totals, rows });
+}));
+
+// Today's and this month's usage, of one tenant with ?tenant=<id>
+router.get("/ai-usage/stats", validateAiUsageReport, asyncHandler(async (req, res) => {
+    res.json(await getAiUsageStats(req.query.tenant || null));
+}));
+
+export default router;
@@ -1,8 +1,10 @@
 import express from "express";
 import { requireApiAuth } from "../../middleware/apiAuth.js";
+import { validateApiPageCreation } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
 import { generateDescription } from "../../services/ai.js";
 import { generateImage } from "../../services/images.js";
-import { saveToCache, getAllCacheKeys, getFromCache } from "../../services/cache.js";
+import { getPageByKey, savePage, listPages } from "../../services/pages.js";
 import settings from "../../config/settings.js";
 
 const router = express.Router();
@@ -10,26 +12,28 @@ const router = express.Router();
 router.use(requireApiAuth);
 
 // List all generated pages
-router.get("/pages", (req, res) => {
-    res.json(getAllCacheKeys());
-});
+router.get("/pages", asyncHandler(async (req, res) => {
+    const pages = await listPages();
+    res.json(pages.map(p => p.key));
+}));
 
 // Get single page data
-router.get("/pages/:key", (req, res) => {
-    res.json(getFromCache(req.params.key) || {});
-});
+router.get("/pages/:key", asyncHandler(async (req, res) => {
+    res.json(await getPageByKey(req.params.key) || {});
+}));
 
-// Create new page
-router.post("/pages", async (req, res) => {
+// Create new page, for a tenant when one is given (its models, brand voice and AI usage apply).
+// The API key identifies no user, so usage is recorded without one.
+router.post("/pages", validateApiPageCreation, asyncHandler(async (req, res) => {
     const { industry, location, type, lang } = req.body;
-    const cacheKey = `${industry}-${lang}-${location}-${type}`;
-    const seoText = await generateDescription(industry, location, type, lang);
+    const tenant = req.body.tenant || null;
+    const seoText = await generateDescription(industry, location, type, lang, null, { tenant });
     const imageUrl = settings.modules.aiImages
-        ? await generateImage(`${industry} ${type} in ${location}, ${lang}`)
+        ? await generateImage(`${industry} ${type} in ${location}, ${lang}`, { tenant })
         : null;
 
-    saveToCache(cacheKey, { seoText, imageUrl });
-    res.json({ key: cacheKey, seoText, imageUrl });
-});
+    const page = await savePage({ tenant, industry, lang, location, type }, { seoText, imageUrl });
+    res.json({ key: page.key, seoText, imageUrl });
+}));
 
 export default router;
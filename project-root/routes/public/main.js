@@ -3,20 +3,26 @@ import { param } from "express-validator";
 import { handleValidationErrors } from "../../middleware/validation.js";
 import { asyncHandler } from "../../middleware/errorHandler.js";
 import { logger } from "../../services/logger.js";
-import { generateDescription } from "../../services/ai.js";
-import { generateImage } from "../../services/images.js";
-import { translateText } from "../../services/translate.js";
-import { saveToCache, getFromCache } from "../../services/cache.js";
+import { getPage, getPageByLocalizedPath } from "../../services/pages.js";
+import { requestGeneration, refreshIfStale } from "../../services/page-generation.js";
+import { buildPageView } from "../../services/page-view.js";
+import { getSiteUrl } from "../../services/sitemap.js";
+import { buildPageKey } from "../../utils/pageKey.js";
+import { canPreview, getScheduleState, isPubliclyVisible } from "../../services/workflow.js";
+import { getTenantLanguages, getTenantIndustries } from "../../middleware/tenant.js";
+import { sendCacheable } from "../../middleware/httpCache.js";
+import { pageSurrogateKeys } from "../../services/cdn.js";
 import settings from "../../config/settings.js";
 
 const router = express.Router();
 
+// Statuses of on-demand pages waiting for editors (approving one clears generatedOnDemand)
+const AWAITING_REVIEW = ['draft', 'in_review'];
+
 // URL parameters validation
 const validateLandingParams = [
     param('industry')
-        .isString()
-        .trim()
-        .isLength({ min: 1, max: 100 })
+        .isIn(settings.industries.map(i => i.key))
         .withMessage('Invalid industry parameter'),
     param('lang')
         .isString()
@@ -36,12 +42,14 @@ const validateLandingParams = [
 ];
 
 /**
- * Route: Generates (or retrieves from cache) a landing page
- * with automatic translations for all other active languages.
+ * Route: Serves a landing page, generating it (with automatic translations for
+ * all other active languages) in the background on first request. Generated pages
+ * wait for editorial review unless settings.pageGeneration.autoPublish is on.
+ * Translations are served at their own localized URL (see localizedPaths).
  */
 router.get("/market/:industry/:lang/:location/:type", 
     validateLandingParams, // Add validation
-    asyncHandler(async (req, res) => { // Wrap in asyncHandler
+    asyncHandler(async (req, res, next) => { // Wrap in asyncHandler
         const { industry, lang, location, type } = req.params;
         const previewTranslations = req.query.previewTranslations === 'true';
         
@@ -53,68 +61,101 @@ router.get("/market/:industry/:lang/:location/:type",
             type,
             ip: req.ip,
             userAgent: req.get('User-Agent'),
-            previewMode: previewTranslations
+            previewMode: previewTranslations,
+            tenantId: req.tenant?._id
         });
 
-        // Unique cache key per language
-        const cacheKey = `${industry}-${lang}-${location}-${type}`;
-        let pageData = getFromCache(cacheKey);
+        // Pages, branding, languages and industries are scoped to the tenant resolved from the Host.
+        // Checked before anything is generated, so made-up URLs cannot trigger AI work.
+        const tenant = req.tenant || null;
+        const languages = getTenantLanguages(tenant);
+        if (!languages.some(l => l.code === lang) || !getTenantIndustries(tenant).some(i => i.key === industry)) {
+            return res.status(404).send('Page not found');
+        }
+
+        // Canonical key per tenant and language; the page store reads through the cache
+        const identity = { tenant: tenant?._id || null, industry, lang, location, type };
+        const cacheKey = buildPageKey(identity);
+        let pageData = await getPage(identity);
 
+        // Not a source page: maybe the localized URL of another page's translation
         if (!pageData) {
-            // Log cache miss and start generation
-            logger.info('Cache miss - starting content generation', {
-                cacheKey,
+            const sourcePage = await getPageByLocalizedPath(identity);
+            if (sourcePage?.translations?.[lang]) {
+                pageData = sourcePage;
+            }
+        }
+
+        // Answer with a page that refreshes until the content can be shown
+        const renderPreparing = (statusCode, retryAfter, state) => {
+            res.set({ 'Retry-After': String(retryAfter), 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+            return res.status(statusCode).render("public-pages/preparing", {
+                title: `${type} in ${location}`,
+                description: '',
+                siteName: tenant ? tenant.name : settings.siteName,
+                tenant,
                 industry,
-                lang,
                 location,
-                type
+                type,
+                languages,
+                lang,
+                failed: state === 'failed',
+                awaitingReview: state === 'review',
+                retryAfter,
+                user: req.user,
+                VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
             });
+        };
 
-            const startTime = Date.now();
-
-            try {
-                // Step 1: Generate main SEO text in requested language
-                const seoText = await generateDescription(industry, location, type, lang);
+        // Pages that exist but are not live are visible to previewers only
+        if (pageData && !canPreview(req.user, pageData)) {
+            const scheduleState = getScheduleState(pageData);
+            if (scheduleState === 'expired') {
+                return res.status(410).send('This page is no longer available');
+            }
+            // Generated on a visit and still with the editors: keep answering "being prepared"
+            if (pageData.generatedOnDemand && AWAITING_REVIEW.includes(pageData.status)) {
+                return renderPreparing(202, settings.pageGeneration.reviewRetryAfterSeconds, 'review');
+            }
+            if (!isPubliclyVisible(pageData)) {
+                return res.status(404).send('Page not found');
+            }
+        }
 
-                // Step 2: Generate image (if enabled) - parallel operation for performance
-                const imageUrl = settings.modules.aiImages
-                    ? await generateImage(`${industry} ${type} in ${location}, ${lang}`)
-                    : null;
+        const translateTo = languages.map(l => l.code).filter(l => l !== (pageData?.lang || lang));
 
-                // Step 3: Translations for other tenant languages (excluding current one)
-                const tenantLanguages = settings.languages.map(l => l.code).filter(l => l !== lang);
-                const translations = {};
-                
-                for (const tLang of tenantLanguages) {
-                    translations[tLang] = await translateText(seoText, tLang);
-                }
+        if (!pageData) {
+            // First request: generate in the background (shared by concurrent requests).
+            // The page goes to the review queue unless on-demand pages publish directly.
+            logger.info('Cache miss - page generation requested', { cacheKey, industry, lang, location, type });
+            const job = requestGeneration(identity, translateTo, { initial: true });
+            const { retryAfterSeconds, failureBackoffSeconds } = settings.pageGeneration;
+            return job
+                ? renderPreparing(202, retryAfterSeconds, 'generating')
+                : renderPreparing(503, failureBackoffSeconds, 'failed');
+        }
 
-                // Step 4: Save to cache
-                pageData = { seoText, imageUrl, translations };
-                saveToCache(cacheKey, pageData);
+        // Stale live on-demand pages are served as they are while a fresh version is generated
+        refreshIfStale(pageData, translateTo);
 
-                const duration = Date.now() - startTime;
-                
-                // Log successful generation
-                logger.info('Content generation completed', {
-                    cacheKey,
-                    duration,
-                    seoTextLength: seoText.length,
-                    hasImage: !!imageUrl,
-                    translationsCount: Object.keys(translations).length,
-                    languages: tenantLanguages
-                });
+        // Each page renders through its template's view (see config/templates.js)
+        const view = buildPageView(pageData, { tenant, lang, siteUrl: getSiteUrl(req) });
+        res.render(view.templateView, {
+            ...view,
+            previewTranslations,
+            user: req.user,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        }, (err, html) => {
+            if (err) return next(err);
+            // Signed-in users see the admin menu and may preview unpublished pages
+            sendCacheable(req, res, html, {
+                tenant,
+                lastModified: pageData.updatedAt,
+                surrogateKeys: pageSurrogateKeys(pageData),
+                isPrivate: !!req.user
+            });
+        });
+    })
+);
 
-            } catch (error) {
-                // Log generation error
-                logger.error('Content generation failed', {
-                    cacheKey,
-                    industry,
-                    lang,
-                    location,
-                    type,
-                    error: error.message,
-                    duration: Date.now() - startTime
-                });
-                
-                throw error; // async
+export default router;
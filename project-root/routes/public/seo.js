@@ -0,0 +1,59 @@
+import express from "express";
+import { validateSitemapChunk } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import {
+    getSiteUrl,
+    countSitemapChunks,
+    writeSitemap,
+    buildSitemapIndex,
+    buildRobotsTxt
+} from "../../services/sitemap.js";
+import { buildCacheControl } from "../../middleware/httpCache.js";
+import { cdnService, tenantKey, sitemapKey } from "../../services/cdn.js";
+
+const router = express.Router();
+
+// Tenant is resolved from the Host header by resolveTenant (req.tenant, null = platform)
+
+// Purged with the tenant and whenever one of its pages changes
+function setSeoCacheHeaders(req, res) {
+    const tenantId = req.tenant?._id || null;
+    res.set("Cache-Control", buildCacheControl(req.tenant));
+    cdnService.setSurrogateKeys(res, [tenantKey(tenantId), sitemapKey(tenantId)]);
+}
+
+router.get("/robots.txt", (req, res) => {
+    setSeoCacheHeaders(req, res);
+    res.type("text/plain").send(buildRobotsTxt(req.tenant, getSiteUrl(req)));
+});
+
+// Single <urlset>, or a <sitemapindex> once the tenant has more pages than one sitemap may hold
+router.get("/sitemap.xml", asyncHandler(async (req, res) => {
+    const siteUrl = getSiteUrl(req);
+    const chunks = await countSitemapChunks(req.tenant);
+
+    setSeoCacheHeaders(req, res);
+    res.type("application/xml");
+    if (chunks > 1) {
+        return res.send(buildSitemapIndex(siteUrl, chunks));
+    }
+    await writeSitemap(res, { tenant: req.tenant, siteUrl });
+    res.end();
+}));
+
+router.get("/sitemap-:chunk.xml",
+    validateSitemapChunk,
+    asyncHandler(async (req, res) => {
+        const chunks = await countSitemapChunks(req.tenant);
+        if (req.params.chunk > chunks) {
+            return res.status(404).send('Sitemap not found');
+        }
+
+        setSeoCacheHeaders(req, res);
+        res.type("application/xml");
+        await writeSitemap(res, { tenant: req.tenant, siteUrl: getSiteUrl(req), chunk: req.params.chunk });
+        res.end();
+    })
+);
+
+export default router;
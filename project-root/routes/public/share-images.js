@@ -0,0 +1,39 @@
+import express from "express";
+import { validateShareImage } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { getPageById } from "../../services/pages.js";
+import { canPreview, isPubliclyVisible } from "../../services/workflow.js";
+import { renderShareImage, getShareImageVersion } from "../../services/share-images.js";
+
+const router = express.Router();
+
+// Open Graph / Twitter share image of a page version, rendered on first request
+router.get("/share-images/:pageId/:lang.png",
+    validateShareImage,
+    asyncHandler(async (req, res) => {
+        const { pageId, lang } = req.params;
+        const page = await getPageById(pageId);
+
+        // Only pages of the tenant this host belongs to, in a language the page has
+        const pageTenant = page?.tenant?.toString() || null;
+        const hostTenant = req.tenant?._id?.toString() || null;
+        const hasLang = page && (page.lang === lang || page.translations?.[lang]);
+        if (!page || pageTenant !== hostTenant || !hasLang) {
+            return res.status(404).send('Image not found');
+        }
+
+        const isLive = isPubliclyVisible(page);
+        if (!isLive && !canPreview(req.user, page)) {
+            return res.status(404).send('Image not found');
+        }
+
+        const file = await renderShareImage(page, req.tenant, lang);
+
+        // Versioned URLs can be cached for long; unversioned ones must revalidate
+        const versioned = req.query.v === getShareImageVersion(page, req.tenant, lang);
+        res.set('Cache-Control', versioned && isLive ? 'public, max-age=604800, immutable' : 'no-cache');
+        res.type('png').sendFile(file);
+    })
+);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateBrandVoice } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { logger } from "../../services/logger.js";
+import { listPages } from "../../services/pages.js";
+import { getBrandVoice, hasBrandVoice, parseBrandVoiceInput, recheckTenantPages } from "../../services/brand-voice.js";
+import { buildPagePath } from "../../utils/pageKey.js";
+import { readingLevels, formalities, brandVoiceLimits } from "../../config/brand-voice.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Brand voice profile, and the tenant's pages whose copy breaks it
+router.get("/brand-voice", requireAuth, requireRole("client"), asyncHandler(async (req, res) => {
+    const tenant = await Tenant.findById(req.user.tenantId).lean();
+    const flagged = await listPages({ tenant: tenant._id, "voiceCheck.passes": false });
+
+    res.render("tenant/brand-voice", {
+        title: "Brand Voice",
+        tenant,
+        user: req.user,
+        voice: getBrandVoice(tenant),
+        flagged: flagged.map(p => ({
+            _id: p._id,
+            title: `${p.type} in ${p.location} (${p.lang})`,
+            url: buildPagePath(p),
+            ...p.voiceCheck
+        })),
+        saved: req.query.saved === "true",
+        readingLevels,
+        formalities,
+        limits: brandVoiceLimits,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    });
+}));
+
+router.post("/brand-voice", requireAuth, requireRole("client"), validateBrandVoice, asyncHandler(async (req, res) => {
+    const brandVoice = parseBrandVoiceInput(req.body);
+    await Tenant.findByIdAndUpdate(req.user.tenantId, { brandVoice }, { runValidators: true });
+    clearTenantCache();
+
+    // Existing pages are flagged against the new profile
+    const failing = await recheckTenantPages(req.user.tenantId, hasBrandVoice(brandVoice) ? brandVoice : null);
+
+    logger.info('Tenant brand voice updated', {
+        userId: req.user.id,
+        tenantId: req.user.tenantId,
+        bannedWords: brandVoice.bannedWords.length,
+        mandatoryPhrases: brandVoice.mandatoryPhrases.length,
+        failingPages: failing
+    });
+
+    res.redirect("/tenant/brand-voice?saved=true");
+}));
+
+export default router;
@@ -1,23 +1,35 @@
 import express from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
-import { getAllCacheKeys } from "../../services/cache.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { listPages } from "../../services/pages.js";
+import { getUpcomingSchedule } from "../../services/workflow.js";
+import { buildPagePath } from "../../utils/pageKey.js";
 import Tenant from "../../models/Tenant.js";
 
 const router = express.Router();
 
 // Tenant dashboard
-router.get("/dashboard", requireAuth, requireRole("client"), async (req, res) => {
+router.get("/dashboard", requireAuth, requireRole("client"), asyncHandler(async (req, res) => {
     const tenant = await Tenant.findById(req.user.tenantId).populate("planId");
-    const tenantKeys = getAllCacheKeys().filter(k => k.includes(tenant._id.toString()));
+    const tenantPages = await listPages({ tenant: tenant._id });
+    const upcoming = await getUpcomingSchedule({ tenant: tenant._id });
 
     res.render("tenant/dashboard", {
         tenant,
-        pages: tenantKeys.map(k => ({ key: k, url: `/market/${k}` })),
+        pages: tenantPages.map(p => ({
+            _id: p._id,
+            key: p.key,
+            status: p.status,
+            voiceIssues: p.voiceCheck?.passes === false,
+            title: `${p.type} in ${p.location} (${p.lang})`,
+            url: buildPagePath(p)
+        })),
+        upcoming,
         usage: {
             generated: req.user.generatedThisMonth,
             limit: tenant.planId.limits.pagesPerMonth
         }
     });
-});
+}));
 
 export default router;
@@ -0,0 +1,86 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateCustomDomain, validateDomainId } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { domainService } from "../../services/domains.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+async function renderDomains(req, res, { error = null } = {}) {
+    const tenant = await Tenant.findById(req.user.tenantId);
+    const domains = (await domainService.listDomains(req.user.tenantId)).map(d => ({
+        record: d,
+        instructions: domainService.getInstructions(d)
+    }));
+
+    res.render("tenant/domains", {
+        title: "Custom Domains",
+        tenant,
+        user: req.user,
+        domains,
+        error,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    });
+}
+
+// Custom domains: list with DNS instructions
+router.get("/domains",
+    requireAuth,
+    requireRole("client"),
+    asyncHandler(async (req, res) => {
+        await renderDomains(req, res);
+    })
+);
+
+// Add a domain and issue its verification token
+router.post("/domains",
+    requireAuth,
+    requireRole("client"),
+    validateCustomDomain,
+    asyncHandler(async (req, res) => {
+        try {
+            await domainService.addDomain(req.user.tenantId, req.body.domain, req.body.method);
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            res.status(409);
+            return renderDomains(req, res, { error: error.message });
+        }
+        res.redirect("/tenant/domains");
+    })
+);
+
+// Check the DNS record now
+router.post("/domains/:domainId/verify",
+    requireAuth,
+    requireRole("client"),
+    validateDomainId,
+    asyncHandler(async (req, res) => {
+        const record = await domainService.getDomain(req.user.tenantId, req.params.domainId);
+        if (!record) {
+            return res.status(404).send('Domain not found');
+        }
+
+        await domainService.verifyDomain(record);
+        clearTenantCache();
+        res.redirect("/tenant/domains");
+    })
+);
+
+router.post("/domains/:domainId/delete",
+    requireAuth,
+    requireRole("client"),
+    validateDomainId,
+    asyncHandler(async (req, res) => {
+        const record = await domainService.removeDomain(req.user.tenantId, req.params.domainId);
+        if (!record) {
+            return res.status(404).send('Domain not found');
+        }
+
+        clearTenantCache();
+        res.redirect("/tenant/domains");
+    })
+);
+
+export default router;
@@ -0,0 +1,130 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { uploadMedia } from "../../middleware/upload.js";
+import { validateMediaUpload, validateMediaId } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { mediaService } from "../../services/media.js";
+import { clearShareImages } from "../../services/share-images.js";
+import { cdnService } from "../../services/cdn.js";
+import settings from "../../config/settings.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Errors the tenant can act on (unsupported file, asset in use) are shown as they are
+function sendKnownError(res, error) {
+    if (!error.statusCode || error.statusCode >= 500) throw error;
+    res.status(error.statusCode).send(error.message);
+}
+
+// Site look changed: drop cached pages and share images
+async function refreshTenantSite(tenantId) {
+    clearTenantCache();
+    await clearShareImages(tenantId);
+    cdnService.purgeTenant(tenantId);
+}
+
+// Media library: uploads with their renditions and where they are used
+router.get("/media",
+    requireAuth,
+    requireRole("client"),
+    asyncHandler(async (req, res) => {
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const assets = await mediaService.listAssets(tenant._id);
+        const usage = await mediaService.getUsage(tenant, assets);
+
+        res.render("tenant/media", {
+            title: "Media Library",
+            tenant,
+            user: req.user,
+            assets: assets.map(asset => ({ ...asset, usage: usage.get(asset._id.toString()) })),
+            maxFileSize: settings.media.maxFileSize,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+router.post("/media",
+    requireAuth,
+    requireRole("client"),
+    uploadMedia,
+    validateMediaUpload,
+    asyncHandler(async (req, res) => {
+        if (!req.file) {
+            return res.status(400).send('Choose an image to upload');
+        }
+
+        try {
+            await mediaService.createAsset(req.user.tenantId, req.file, {
+                kind: req.body.kind,
+                alt: req.body.alt,
+                uploadedBy: req.user.id
+            });
+        } catch (error) {
+            return sendKnownError(res, error);
+        }
+
+        res.redirect("/tenant/media");
+    })
+);
+
+router.post("/media/:mediaId/delete",
+    requireAuth,
+    requireRole("client"),
+    validateMediaId,
+    asyncHandler(async (req, res) => {
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+
+        let asset;
+        try {
+            asset = await mediaService.deleteAsset(tenant, req.params.mediaId);
+        } catch (error) {
+            return sendKnownError(res, error);
+        }
+        if (!asset) {
+            return res.status(404).send('Media not found');
+        }
+
+        res.redirect("/tenant/media");
+    })
+);
+
+// Use an upload as the site logo
+router.post("/media/:mediaId/logo",
+    requireAuth,
+    requireRole("client"),
+    validateMediaId,
+    asyncHandler(async (req, res) => {
+        const asset = await mediaService.getAsset(req.user.tenantId, req.params.mediaId);
+        if (!asset) {
+            return res.status(404).send('Media not found');
+        }
+
+        await Tenant.findByIdAndUpdate(req.user.tenantId, { logoUrl: mediaService.getLogoUrl(asset) });
+        await refreshTenantSite(req.user.tenantId);
+        res.redirect("/tenant/media");
+    })
+);
+
+// Use a logo's favicon set
+router.post("/media/:mediaId/favicon",
+    requireAuth,
+    requireRole("client"),
+    validateMediaId,
+    asyncHandler(async (req, res) => {
+        const asset = await mediaService.getAsset(req.user.tenantId, req.params.mediaId);
+        if (!asset) {
+            return res.status(404).send('Media not found');
+        }
+        if (!asset.favicons.length) {
+            return res.status(400).send('Only logos come with a favicon set; upload the image as a logo');
+        }
+
+        await mediaService.setFavicon(req.user.tenantId, asset);
+        await refreshTenantSite(req.user.tenantId);
+        res.redirect("/tenant/media");
+    })
+);
+
+export default router;
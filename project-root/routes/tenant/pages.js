@@ -0,0 +1,220 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import {
+    validateRevisionDiff,
+    validateRevisionRestore,
+    validatePageId,
+    validatePageSections,
+    validatePageTemplate,
+    validatePagePreview
+} from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { logger } from "../../services/logger.js";
+import { getPageById, restoreRevision, savePageLayout } from "../../services/pages.js";
+import { composeSections, getSectionEditorRows, getAddableSectionTypes } from "../../services/sections.js";
+import {
+    getTemplatesForIndustry,
+    getTenantTemplate,
+    resolvePageTemplate,
+    supportsIndustry,
+    templateSections,
+    applyTemplateSections
+} from "../../services/templates.js";
+import { buildPageView } from "../../services/page-view.js";
+import { getSiteUrl } from "../../services/sitemap.js";
+import { buildPagePath } from "../../utils/pageKey.js";
+import { listRevisions, compareRevisions } from "../../services/revisions.js";
+import { returnToReview } from "../../services/workflow.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Load the page only if it belongs to the current tenant
+async function findTenantPage(req) {
+    const page = await getPageById(req.params.pageId);
+    if (!page || !page.tenant || page.tenant.toString() !== String(req.user.tenantId)) {
+        return null;
+    }
+    return page;
+}
+
+// Revision history of one of the tenant's pages
+router.get("/pages/:pageId/revisions",
+    requireAuth,
+    requireRole("client"),
+    validateRevisionDiff,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const tenant = await Tenant.findById(req.user.tenantId);
+        const revisions = await listRevisions(page._id);
+        const comparison = compareRevisions(revisions, req.query.from, req.query.to);
+
+        res.render("tenant/revisions", {
+            title: "Page History",
+            tenant,
+            user: req.user,
+            page,
+            revisions,
+            comparison,
+            basePath: `/tenant/pages/${page._id}/revisions`,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+// Restore a revision of one of the tenant's pages
+router.post("/pages/:pageId/revisions/:revisionId/restore",
+    requireAuth,
+    requireRole("client"),
+    validateRevisionRestore,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const restored = await restoreRevision(page._id, req.params.revisionId, { author: req.user._id });
+        if (!restored) {
+            return res.status(404).send('Revision not found');
+        }
+
+        logger.info('Page revision restored by tenant', {
+            userId: req.user.id,
+            tenantId: req.user.tenantId,
+            pageId: page._id,
+            revisionId: req.params.revisionId
+        });
+
+        res.redirect(`/tenant/pages/${page._id}/revisions`);
+    })
+);
+
+// Section editor: reorder, toggle and configure the blocks of a page
+router.get("/pages/:pageId/sections",
+    requireAuth,
+    requireRole("client"),
+    validatePageId,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const template = resolvePageTemplate(page, tenant);
+        res.render("tenant/sections", {
+            title: "Page Sections",
+            tenant,
+            user: req.user,
+            page,
+            pageUrl: buildPagePath(page),
+            templates: getTemplatesForIndustry(page.industry),
+            template,
+            tenantTemplate: getTenantTemplate(tenant, page.industry),
+            sections: getSectionEditorRows(page, templateSections(template)),
+            addableTypes: getAddableSectionTypes(),
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+router.post("/pages/:pageId/sections",
+    requireAuth,
+    requireRole("client"),
+    validatePageSections,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        // A signed-off page goes back to review, so the new sections are not live unreviewed
+        const sections = composeSections(req.body.sections || [], req.body.addType || null);
+        await returnToReview(page._id, req.user, 'Sections changed');
+        await savePageLayout(page, { sections }, { author: req.user._id });
+
+        logger.info('Page sections updated by tenant', {
+            userId: req.user.id,
+            tenantId: req.user.tenantId,
+            pageId: page._id,
+            sections: sections.map(s => s.type)
+        });
+
+        res.redirect(`/tenant/pages/${page._id}/sections`);
+    })
+);
+
+// Switch the page's template; optionally start over from the template's sections
+router.post("/pages/:pageId/template",
+    requireAuth,
+    requireRole("client"),
+    validatePageTemplate,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const template = req.body.template || null;
+        if (template && !supportsIndustry(template, page.industry)) {
+            return res.status(400).send('This template is not available for the page\'s industry');
+        }
+
+        const layout = { template };
+        if (req.body.resetSections) {
+            const tenant = await Tenant.findById(req.user.tenantId).lean();
+            layout.sections = applyTemplateSections(page.sections, template || getTenantTemplate(tenant, page.industry));
+        }
+        // Like section edits, a template override is reviewed before it goes live
+        await returnToReview(page._id, req.user, 'Template changed');
+        await savePageLayout(page, layout, { author: req.user._id });
+
+        logger.info('Page template changed by tenant', {
+            userId: req.user.id,
+            tenantId: req.user.tenantId,
+            pageId: page._id,
+            template,
+            resetSections: !!req.body.resetSections
+        });
+
+        res.redirect(`/tenant/pages/${page._id}/sections`);
+    })
+);
+
+// Preview of the page with another template (and optionally its default sections), never cached or indexed
+router.get("/pages/:pageId/preview",
+    requireAuth,
+    requireRole("client"),
+    validatePagePreview,
+    asyncHandler(async (req, res) => {
+        const page = await findTenantPage(req);
+        if (!page) {
+            return res.status(404).send('Page not found');
+        }
+
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const template = req.query.template || resolvePageTemplate(page, tenant);
+        if (!supportsIndustry(template, page.industry)) {
+            return res.status(400).send('This template is not available for the page\'s industry');
+        }
+
+        const previewPage = req.query.reset
+            ? { ...page, sections: applyTemplateSections(page.sections, template) }
+            : page;
+        const view = buildPageView(previewPage, { tenant, lang: page.lang, siteUrl: getSiteUrl(req), template });
+
+        res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+        res.render(view.templateView, {
+            ...view,
+            previewTranslations: false,
+            user: req.user,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateRobotsSettings, validateCacheSettings } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { getCacheSettings } from "../../middleware/httpCache.js";
+import { buildRobotsTxt } from "../../services/sitemap.js";
+import { cdnService } from "../../services/cdn.js";
+import settings from "../../config/settings.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Search engine settings: robots.txt rules, sitemap location and HTTP caching
+router.get("/seo",
+    requireAuth,
+    requireRole("client"),
+    asyncHandler(async (req, res) => {
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const siteUrl = tenant.domain ? `${req.protocol}://${tenant.domain}` : settings.baseUrl;
+
+        res.render("tenant/seo", {
+            title: "Search Engines",
+            tenant,
+            user: req.user,
+            siteUrl,
+            robotsPreview: buildRobotsTxt(tenant, siteUrl),
+            platformDisallow: settings.seo.robotsDisallow,
+            effectiveCaching: getCacheSettings(tenant),
+            platformCaching: settings.httpCache,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+router.post("/seo",
+    requireAuth,
+    requireRole("client"),
+    validateRobotsSettings,
+    asyncHandler(async (req, res) => {
+        await Tenant.findByIdAndUpdate(req.user.tenantId, {
+            robots: {
+                blockAll: req.body.blockAll === true,
+                disallow: req.body.disallow || [],
+                crawlDelay: req.body.crawlDelay || null
+            }
+        }, { runValidators: true });
+
+        // Public hosts read the tenant from the host cache
+        clearTenantCache();
+        cdnService.purgeTenant(req.user.tenantId);
+        res.redirect("/tenant/seo");
+    })
+);
+
+router.post("/seo/caching",
+    requireAuth,
+    requireRole("client"),
+    validateCacheSettings,
+    asyncHandler(async (req, res) => {
+        const value = (field) => (Number.isInteger(req.body[field]) ? req.body[field] : null);
+        await Tenant.findByIdAndUpdate(req.user.tenantId, {
+            caching: {
+                maxAge: value('maxAge'),
+                sMaxAge: value('sMaxAge'),
+                staleWhileRevalidate: value('staleWhileRevalidate')
+            }
+        }, { runValidators: true });
+
+        clearTenantCache();
+        // Copies cached under the old lifetimes would otherwise linger at the CDN
+        cdnService.purgeTenant(req.user.tenantId);
+        res.redirect("/tenant/seo");
+    })
+);
+
+export default router;
@@ -0,0 +1,98 @@
+import express from "express";
+import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateTemplateSettings, validateTemplatePreview } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { logger } from "../../services/logger.js";
+import { listPages } from "../../services/pages.js";
+import { getTenantIndustryTemplates, supportsIndustry } from "../../services/templates.js";
+import { buildPageView, buildSamplePage } from "../../services/page-view.js";
+import { getSiteUrl } from "../../services/sitemap.js";
+import { cdnService } from "../../services/cdn.js";
+import Tenant from "../../models/Tenant.js";
+
+const router = express.Router();
+
+// Default landing page template per industry
+router.get("/templates",
+    requireAuth,
+    requireRole("client"),
+    asyncHandler(async (req, res) => {
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+
+        res.render("tenant/templates", {
+            title: "Page Templates",
+            tenant,
+            user: req.user,
+            industries: getTenantIndustryTemplates(tenant),
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+router.post("/templates",
+    requireAuth,
+    requireRole("client"),
+    validateTemplateSettings,
+    asyncHandler(async (req, res) => {
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const pageTemplates = {};
+        for (const industry of getTenantIndustryTemplates(tenant)) {
+            const choice = req.body.templates?.[industry.key];
+            if (!choice) continue;
+            if (!supportsIndustry(choice, industry.key)) {
+                return res.status(400).send(`Template '${choice}' is not available for ${industry.name}`);
+            }
+            pageTemplates[industry.key] = choice;
+        }
+
+        await Tenant.findByIdAndUpdate(req.user.tenantId, { pageTemplates });
+
+        // Pages without a template of their own change layout
+        clearTenantCache();
+        cdnService.purgeTenant(req.user.tenantId);
+
+        logger.info('Tenant page templates updated', {
+            userId: req.user.id,
+            tenantId: req.user.tenantId,
+            pageTemplates
+        });
+
+        res.redirect("/tenant/templates");
+    })
+);
+
+// Preview a template on the tenant's latest page of the industry, or on sample content
+router.get("/templates/preview",
+    requireAuth,
+    requireRole("client"),
+    validateTemplatePreview,
+    asyncHandler(async (req, res) => {
+        const { industry, template } = req.query;
+        if (!supportsIndustry(template, industry)) {
+            return res.status(400).send('This template is not available for the industry');
+        }
+
+        const [latest] = await listPages({ tenant: req.user.tenantId, industry }, { limit: 1 });
+        if (latest) {
+            return res.redirect(`/tenant/pages/${latest._id}/preview?template=${encodeURIComponent(template)}`);
+        }
+
+        const tenant = await Tenant.findById(req.user.tenantId).lean();
+        const view = buildPageView(buildSamplePage(tenant, industry, template), {
+            tenant,
+            siteUrl: getSiteUrl(req),
+            template
+        });
+
+        res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+        res.render(view.templateView, {
+            ...view,
+            previewTranslations: false,
+            user: req.user,
+            VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+        });
+    })
+);
+
+export default router;
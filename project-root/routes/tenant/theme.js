@@ -1,18 +1,108 @@
 import express from "express";
 import { requireAuth, requireRole } from "../../middleware/auth.js";
+import { validateTheme } from "../../middleware/validation.js";
+import { asyncHandler } from "../../middleware/errorHandler.js";
+import { clearTenantCache } from "../../middleware/tenant.js";
+import { logger } from "../../services/logger.js";
+import { clearShareImages } from "../../services/share-images.js";
+import { cdnService } from "../../services/cdn.js";
+import { listPages } from "../../services/pages.js";
+import { buildPageView, buildSamplePage } from "../../services/page-view.js";
+import { resolvePageTemplate } from "../../services/templates.js";
+import { getTheme, parseThemeInput, checkThemeContrast } from "../../services/theme.js";
+import { getSiteUrl } from "../../services/sitemap.js";
+import { mediaService } from "../../services/media.js";
+import { fonts, buttonStyles, darkModes, MAX_CUSTOM_CSS } from "../../config/themes.js";
+import settings from "../../config/settings.js";
 import Tenant from "../../models/Tenant.js";
 
 const router = express.Router();
 
-router.get("/theme", requireAuth, requireRole("client"), async (req, res) => {
-    const tenant = await Tenant.findById(req.user.tenantId);
-    res.render("tenant/theme-editor", { tenant });
-});
+async function renderEditor(req, res, tenant, theme, { errors = [], saved = false } = {}) {
+    const logos = (await mediaService.listAssets(tenant._id)).filter(asset => asset.kind === "logo");
+
+    res.render("tenant/theme-editor", {
+        title: "Theme Editor",
+        tenant,
+        user: req.user,
+        theme,
+        contrast: checkThemeContrast(theme),
+        errors,
+        saved,
+        logoUrls: logos.map(asset => mediaService.getLogoUrl(asset)),
+        fonts,
+        buttonStyles,
+        darkModes,
+        maxCustomCss: MAX_CUSTOM_CSS,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    });
+}
+
+router.get("/theme", requireAuth, requireRole("client"), asyncHandler(async (req, res) => {
+    const tenant = await Tenant.findById(req.user.tenantId).lean();
+    await renderEditor(req, res, tenant, getTheme(tenant), { saved: req.query.saved === "true" });
+}));
+
+router.post("/theme", requireAuth, requireRole("client"), validateTheme, asyncHandler(async (req, res) => {
+    const tenant = await Tenant.findById(req.user.tenantId).lean();
+    const theme = parseThemeInput(req.body);
+    const logoUrl = req.body.logoUrl || null;
+
+    // Only palettes that meet WCAG AA are saved
+    const failing = checkThemeContrast(theme).filter(check => !check.passes);
+    if (failing.length) {
+        res.status(400);
+        return renderEditor(req, res, { ...tenant, logoUrl }, theme, {
+            errors: failing.map(check =>
+                `${check.label} (${check.mode} mode) has contrast ${check.ratio}:1, WCAG AA requires ${check.required}:1`)
+        });
+    }
+
+    // primaryColor stays in sync for views outside public pages and for share images
+    await Tenant.findByIdAndUpdate(req.user.tenantId, { theme, primaryColor: theme.palette.primary, logoUrl });
+    clearTenantCache();
+    // Share images are drawn with the theme; re-render them on next request
+    await clearShareImages(req.user.tenantId);
+    cdnService.purgeTenant(req.user.tenantId);
 
-router.post("/theme", requireAuth, requireRole("client"), async (req, res) => {
-    const { primaryColor, logoUrl } = req.body;
-    await Tenant.findByIdAndUpdate(req.user.tenantId, { primaryColor, logoUrl });
-    res.redirect("/tenant/dashboard");
+    logger.info('Tenant theme updated', {
+        userId: req.user.id,
+        tenantId: req.user.tenantId
+    });
+
+    res.redirect("/tenant/theme?saved=true");
+}));
+
+// Contrast checks of the unsaved theme for the editor, by the same rules as saving
+router.post("/theme/contrast", requireAuth, requireRole("client"), validateTheme, (req, res) => {
+    res.json(checkThemeContrast(parseThemeInput(req.body)));
 });
 
+// Live preview: the tenant's latest page (or sample content) rendered with the unsaved theme
+router.post("/theme/preview", requireAuth, requireRole("client"), validateTheme, asyncHandler(async (req, res) => {
+    const tenant = await Tenant.findById(req.user.tenantId).lean();
+    const previewTenant = { ...tenant, logoUrl: req.body.logoUrl || tenant.logoUrl };
+
+    const [latest] = await listPages({ tenant: tenant._id }, { limit: 1 });
+    let page = latest;
+    if (!page) {
+        const industry = tenant.allowedIndustries?.[0] || settings.industries[0].key;
+        page = buildSamplePage(tenant, industry, resolvePageTemplate({ industry }, tenant));
+    }
+
+    const view = buildPageView(page, {
+        tenant: previewTenant,
+        siteUrl: getSiteUrl(req),
+        theme: parseThemeInput(req.body)
+    });
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    res.render(view.templateView, {
+        ...view,
+        previewTranslations: false,
+        user: req.user,
+        VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY
+    });
+}));
+
 export default router;
@@ -6,6 +6,7 @@ import { migrationService } from "../services/database/migrations.js";
 import { seedService } from "../services/database/seed.js";
 import { backupService } from "../services/database/backup.js";
 import { dbHealthService } from "../services/database/health.js";
+import { staticExportService } from "../services/static-export.js";
 
 dotenv.config();
 
@@ -104,4 +105,22 @@ program
         process.exit(0);
     });
 
+// Static export commands
+program
+    .command('export:run [tenantId]')
+    .option('-i, --incremental', 'Only pages changed since the last completed export')
+    .option('-b, --base-url <url>', 'Origin the exported site will be served from')
+    .description('Export published pages of a tenant (platform pages if omitted) to a zip')
+    .action(async (tenantId, options) => {
+        await connectDB();
+        const record = await staticExportService.createExport(tenantId || null, {
+            incremental: !!options.incremental,
+            baseUrl: options.baseUrl || null
+        });
+        const result = await staticExportService.runExport(record);
+        console.log(`Export created: ${result.filename} (${result.pageCount} pages, ${result.fileCount} files)`);
+        await mongoose.disconnect();
+        process.exit(0);
+    });
+
 program.parse();
@@ -9,6 +9,7 @@ import dotenv from "dotenv";
 import { helmetConfig, corsConfig, generalLimiter, authLimiter, sanitizeInput } from "./middleware/security.js";
 import { globalErrorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { requestLogger, healthMetrics } from "./middleware/monitoring.js";
+import { resolveTenant } from "./middleware/tenant.js";
 import mongoSanitize from "express-mongo-sanitize";
 import cors from "cors";
 
@@ -93,10 +94,13 @@ import authLoginRoutes from "./routes/auth/login.js";
 import authRegisterRoutes from "./routes/auth/register.js";
 import authPasswordResetRoutes from "./routes/auth/password-reset.js";
 import publicRoutes from "./routes/public/main.js";
+import publicSeoRoutes from "./routes/public/seo.js";
+import publicShareImageRoutes from "./routes/public/share-images.js";
 import mobileApiRoutes from "./routes/api/pages.js";
 import apiTenantsRoutes from "./routes/api/tenants.js";
 import apiTranslateRoutes from "./routes/api/translate.js";
 import apiAuthRoutes from "./routes/api/auth.js";
+import apiAiUsageRoutes from "./routes/api/ai-usage.js";
 import adminGenerateRoutes from "./routes/admin/generate.js";
 import adminPushManagerRoutes from "./routes/admin/push-manager.js";
 import adminAbtestsRoutes from "./routes/admin/abtests.js";
@@ -106,9 +110,19 @@ import adminSettingsRoutes from "./routes/admin/settings.js";
 import adminUsersRoutes from "./routes/admin/users.js";
 import adminDashboardRoutes from "./routes/admin/dashboard.js";
 import adminDatabaseRoutes from "./routes/admin/database.js";
+import adminPagesRoutes from "./routes/admin/pages.js";
+import adminExportsRoutes from "./routes/admin/exports.js";
+import adminPromptsRoutes from "./routes/admin/prompts.js";
+import adminAiUsageRoutes from "./routes/admin/ai-usage.js";
 import tenantDashboardRoutes from "./routes/tenant/dashboard.js";
 import tenantThemeRoutes from "./routes/tenant/theme.js";
+import tenantBrandVoiceRoutes from "./routes/tenant/brand-voice.js";
 import tenantUsageRoutes from "./routes/tenant/usage.js";
+import tenantPagesRoutes from "./routes/tenant/pages.js";
+import tenantDomainsRoutes from "./routes/tenant/domains.js";
+import tenantSeoRoutes from "./routes/tenant/seo.js";
+import tenantTemplatesRoutes from "./routes/tenant/templates.js";
+import tenantMediaRoutes from "./routes/tenant/media.js";
 import billingSubscriptionRoutes from "./routes/billing/subscription.js";
 import billingWebhooksRoutes from "./routes/billing/webhooks.js";
 import billingInvoicesRoutes from "./routes/billing/invoices.js";
@@ -127,23 +141,30 @@ app.use(async (req, res, next) => {
   next();
 });
 
+// Resolve tenant from the Host header into req.tenant
+app.use(resolveTenant);
+
 // Mount routes
 app.use("/auth", authLimiter);
 app.use("/auth", authLoginRoutes);
 app.use("/auth", authRegisterRoutes);
 app.use("/auth", authPasswordResetRoutes);
 
+app.use("/", publicSeoRoutes);
+app.use("/", publicShareImageRoutes);
 app.use("/", publicRoutes);
 
 app.use("/api/v1", mobileApiRoutes);
 app.use("/api/v1", apiTenantsRoutes);
 app.use("/api/v1", apiTranslateRoutes);
 app.use("/api/v1", apiAuthRoutes);
+app.use("/api/v1", apiAiUsageRoutes);
 
 app.use("/api", mobileApiRoutes);
 app.use("/api", apiTenantsRoutes);
 app.use("/api", apiTranslateRoutes);
 app.use("/api", apiAuthRoutes);
+app.use("/api", apiAiUsageRoutes);
 
 app.use("/admin", adminDashboardRoutes);
 app.use("/admin", adminGenerateRoutes);
@@ -154,10 +175,20 @@ app.use("/admin", adminSocialRoutes);
 app.use("/admin", adminSettingsRoutes);
 app.use("/admin", adminUsersRoutes);
 app.use("/admin", adminDatabaseRoutes);
+app.use("/admin", adminPagesRoutes);
+app.use("/admin", adminExportsRoutes);
+app.use("/admin", adminPromptsRoutes);
+app.use("/admin", adminAiUsageRoutes);
 
 app.use("/tenant", tenantDashboardRoutes);
 app.use("/tenant", tenantThemeRoutes);
 app.use("/tenant", tenantUsageRoutes);
+app.use("/tenant", tenantPagesRoutes);
+app.use("/tenant", tenantDomainsRoutes);
+app.use("/tenant", tenantSeoRoutes);
+app.use("/tenant", tenantTemplatesRoutes);
+app.use("/tenant", tenantMediaRoutes);
+app.use("/tenant", tenantBrandVoiceRoutes);
 
 app.use("/billing", billingSubscriptionRoutes);
 app.use("/billing/webhooks", billingWebhooksRoutes);
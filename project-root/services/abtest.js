@@ -1,11 +1,12 @@
 import { generateDescription } from './ai.js';
 import { saveToCache, getFromCache } from './cache.js';
+import { buildPageKey } from '../utils/pageKey.js';
 
 /**
  * Create A/B test variant
  */
-export async function createABVariant(industry, location, type, lang, variant) {
-    const key = `${industry}-${lang}-${location}-${type}-v${variant}`.toLowerCase();
+export async function createABVariant(industry, location, type, lang, variant, tenant = null) {
+    const key = buildPageKey({ tenant, industry, lang, location, type }, { variant });
     if (!getFromCache(key)) {
         const text = await generateDescription(`${industry} (variant ${variant})`, location, type, lang);
         saveToCache(key, { text });
@@ -0,0 +1,185 @@
+// Token and cost accounting of AI calls. The LLM layer (services/llm) records every
+// provider call in the AiUsage collection, priced with config/ai-pricing.js; reports
+// aggregate the records per day, tenant, operation and model.
+
+import mongoose from "mongoose";
+import AiUsage from "../models/AiUsage.js";
+import Tenant from "../models/Tenant.js";
+import pricing from "../config/ai-pricing.js";
+import { aiLogger } from "./logger.js";
+
+// Dimensions a usage report can be grouped by
+export const REPORT_DIMENSIONS = ["day", "tenant", "operation", "model"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dimensionExpressions = {
+    day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+    tenant: "$tenant",
+    operation: "$operation",
+    model: { $concat: ["$provider", ":", "$model"] }
+};
+
+function idOf(value) {
+    if (!value) return null;
+    return value instanceof mongoose.Types.ObjectId || typeof value === "string" ? value : value._id;
+}
+
+function startOfUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Price of a model; null when the table has none
+ */
+export function getPrice(provider, model) {
+    return pricing[`${provider}:${model}`] || pricing[model] || null;
+}
+
+/**
+ * Cost of a call in USD; null for models without a price
+ * @param {Object} usage - { inputTokens, outputTokens, images }
+ */
+export function computeCost(provider, model, { inputTokens = 0, outputTokens = 0, images = 0 } = {}) {
+    const price = getPrice(provider, model);
+    if (!price) return null;
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6
+        + images * (price.image || 0);
+}
+
+/**
+ * Record one provider call. Never throws: accounting must not break AI features.
+ * @param {Object} call - { tenant, user, operation, provider, model, usage: { inputTokens, outputTokens },
+ *   images, estimated, latencyMs, error }
+ */
+export async function recordAiUsage({ tenant = null, user = null, operation, provider, model, usage = {}, images = 0, estimated = false, latencyMs = 0, error = null }) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+
+    try {
+        return await AiUsage.create({
+            tenant: idOf(tenant),
+            user: idOf(user),
+            operation,
+            provider,
+            model,
+            inputTokens,
+            outputTokens,
+            images,
+            estimated,
+            cost: computeCost(provider, model, { inputTokens, outputTokens, images }),
+            latencyMs,
+            success: !error,
+            error: error ? error.message : null
+        });
+    } catch (err) {
+        aiLogger.error("AI usage not recorded", { operation, provider, model, error: err.message });
+        return null;
+    }
+}
+
+function matchOf({ from, to, tenant } = {}) {
+    const match = {};
+    if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = new Date(from);
+        if (to) match.createdAt.$lt = new Date(to);
+    }
+    if (tenant) {
+        match.tenant = new mongoose.Types.ObjectId(String(idOf(tenant)));
+    }
+    return match;
+}
+
+/**
+ * Usage aggregated by the given dimensions, newest day and highest cost first
+ * @param {Object} filter - { from, to, tenant }; to is exclusive
+ * @param {string[]} groupBy - REPORT_DIMENSIONS; none = one row of totals
+ * @returns {Promise<Array>} [{ day, tenant, tenantName, operation, model (grouped ones),
+ *   calls, failures, inputTokens, outputTokens, images, cost, averageLatencyMs }]
+ */
+export async function getUsageReport(filter = {}, groupBy = ["day", "tenant", "operation"]) {
+    const dimensions = REPORT_DIMENSIONS.filter(dimension => groupBy.includes(dimension));
+    const rows = await AiUsage.aggregate([
+        { $match: matchOf(filter) },
+        {
+            $group: {
+                _id: Object.fromEntries(dimensions.map(dimension => [dimension, dimensionExpressions[dimension]])),
+                calls: { $sum: 1 },
+                failures: { $sum: { $cond: ["$success", 0, 1] } },
+                inputTokens: { $sum: "$inputTokens" },
+                outputTokens: { $sum: "$outputTokens" },
+                images: { $sum: "$images" },
+                cost: { $sum: "$cost" },
+                averageLatencyMs: { $avg: "$latencyMs" }
+            }
+        },
+        { $sort: { "_id.day": -1, cost: -1 } }
+    ]);
+
+    const tenantIds = dimensions.includes("tenant") ? rows.map(row => row._id.tenant).filter(Boolean) : [];
+    const tenants = tenantIds.length
+        ? await Tenant.find({ _id: { $in: tenantIds } }).select("name").lean()
+        : [];
+    const names = new Map(tenants.map(tenant => [String(tenant._id), tenant.name]));
+
+    return rows.map(({ _id, ...totals }) => ({
+        ..._id,
+        ...(dimensions.includes("tenant") && { tenantName: _id.tenant ? names.get(String(_id.tenant)) || "Deleted tenant" : "Platform" }),
+        ...totals,
+        cost: Math.round(totals.cost * 1e6) / 1e6,
+        averageLatencyMs: Math.round(totals.averageLatencyMs || 0)
+    }));
+}
+
+/**
+ * Totals over a filter (see getUsageReport)
+ */
+export async function getUsageTotals(filter = {}) {
+    const [totals] = await getUsageReport(filter, []);
+    return totals || { calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, images: 0, cost: 0, averageLatencyMs: 0 };
+}
+
+/**
+ * Today's and this month's (UTC) usage of a tenant, or of everyone
+ */
+export async function getUsageStats(tenant = null) {
+    const now = new Date();
+    const dayStart = startOfUtcDay(now);
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    const [today, month] = await Promise.all([
+        getUsageTotals({ from: dayStart, tenant }),
+        getUsageTotals({ from: monthStart, tenant })
+    ]);
+
+    return {
+        tokensUsedToday: today.inputTokens + today.outputTokens,
+        requestsThisMonth: month.calls,
+        estimatedCost: month.cost,
+        averageResponseTime: month.averageLatencyMs,
+        successRate: month.calls ? Math.round((month.calls - month.failures) / month.calls * 1000) / 10 : 100,
+        lastUpdated: now.toISOString()
+    };
+}
+
+/**
+ * Report filter from query values. Dates (YYYY-MM-DD, UTC) are inclusive; without
+ * them the report covers the last `days` days.
+ * @returns {{ from: Date, to: Date, tenant: string|null, dates: { from: string, to: string } }}
+ *   to is exclusive; dates are the inclusive range for display
+ */
+export function parseReportFilter({ from, to, tenant } = {}, { days = 30 } = {}) {
+    const end = new Date(startOfUtcDay(to ? new Date(to) : new Date()).getTime() + DAY_MS);
+    const start = from ? startOfUtcDay(new Date(from)) : new Date(end.getTime() - days * DAY_MS);
+
+    return {
+        from: start,
+        to: end,
+        tenant: tenant || null,
+        dates: {
+            from: start.toISOString().slice(0, 10),
+            to: new Date(end.getTime() - DAY_MS).toISOString().slice(0, 10)
+        }
+    };
+}
@@ -4,7 +4,13 @@ import { wrapper } from "axios-cookiejar-support";
 import dotenv from "dotenv";
 import { logger, aiLogger } from "./logger.js";
 import { serviceRegistry } from "./registry.js";
-import OpenAI from 'openai';
+import { llmService } from "./llm/index.js";
+import { promptService } from "./prompts.js";
+import { loadBrandVoice, buildVoiceInstructions, withBrandVoice, templateSystemPrompt, checkBrandVoice } from "./brand-voice.js";
+import { socialPlatforms } from "./social.js";
+import { parsePageContent, describePageContent, pageContentText } from "./page-content.js";
+import { getUsageStats } from "./ai-usage.js";
+import settings from "../config/settings.js";
 
 dotenv.config();
 
@@ -18,119 +24,104 @@ const client = wrapper(axios.create({
     }
 }));
 
+// Provider HTTP errors carry the status code
+function providerError(error) {
+    if (error.status === 401) {
+        return new Error('Invalid AI provider API key');
+    } else if (error.status === 429) {
+        return new Error('AI provider rate limit exceeded. Please try again later.');
+    } else if (error.status === 503) {
+        return new Error('AI provider temporarily unavailable');
+    } else if (error.status === 400) {
+        return new Error('Invalid request parameters');
+    }
+    return error;
+}
+
+// Follow-up asking the model to fix a structured reply
+function buildRepairPrompt(errors) {
+    return `Your reply does not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with the complete corrected JSON only. Keep the valid fields, fix the listed ones and respect every length limit.`;
+}
+
 class AIService {
     constructor() {
-        this.openaiKey = process.env.OPENAI_API_KEY;
-        this.baseURL = 'https://api.openai.com/v1';
         this.initialized = false;
-        
-        // Modern OpenAI client for 2025
-        this.openai = new OpenAI({
-            apiKey: this.openaiKey,
-            timeout: 30000,
-            maxRetries: 3
-        });
     }
 
     async initialize() {
-        if (!this.openaiKey) {
-            throw new Error('OpenAI API key not configured');
-        }
-        
-        // Test API connectivity with modern endpoint
-        const isValid = await this.validateApiKey();
-        if (!isValid) {
-            throw new Error('Invalid OpenAI API key');
+        // Providers of the platform's default models must be configured and reachable
+        const providers = await llmService.validate();
+        const unavailable = Object.keys(providers).filter(name => !providers[name]);
+        if (unavailable.length) {
+            throw new Error(`AI provider not configured or unreachable: ${unavailable.join(', ')}`);
         }
 
         this.initialized = true;
-        logger.info('AI Service initialized with modern OpenAI client');
+        logger.info('AI Service initialized', { providers: Object.keys(providers) });
     }
 
     async validateApiKey() {
-        try {
-            // Use modern OpenAI client for validation
-            const models = await this.openai.models.list();
-            return models.data.length > 0;
-        } catch (error) {
-            logger.error('OpenAI API key validation failed', { error: error.message });
-            return false;
-        }
+        const providers = await llmService.validate();
+        return Object.values(providers).every(Boolean);
     }
 
     /**
      * Generate description with advanced billing integration and usage validation
      * Combines modern AI calls with enterprise-grade validation
+     * @param {Object} options - { tenant: Tenant or id whose model and prompt choices apply,
+     *   industryKey: industry key when `industry` is a display name, keywords, brandVoice,
+     *   userId: user the AI usage is recorded for when no plan limits apply (defaults to `userId`) }
      */
-    async generateDescription(industry, location, type, lang, userId = null) {
+    async generateDescription(industry, location, type, lang, userId = null, options = {}) {
+        const { description } = await this.generateDescriptionDetailed(industry, location, type, lang, userId, options);
+        return description;
+    }
+
+    /**
+     * generateDescription, also returning the prompt template version used and
+     * the brand voice check of the text (null when the tenant has no voice)
+     * @returns {Promise<{ description: string, prompt: { template, version }, voiceCheck }>}
+     */
+    async generateDescriptionDetailed(industry, location, type, lang, userId = null, { tenant = null, industryKey, keywords, brandVoice, userId: usageUserId = userId } = {}) {
         if (!this.initialized) {
             throw new Error('AI Service not initialized');
         }
 
-        // Advanced billing check using service registry pattern
-        if (userId) {
-            const usageValidator = await serviceRegistry.get('usageValidator').catch(() => null);
-            if (usageValidator) {
-                const validation = await usageValidator.validateUsage(userId, 'page_generation', {
-                    industry,
-                    language: lang
-                });
-                
-                if (!validation.allowed) {
-                    throw new Error(validation.reason);
-                }
-            }
-
-            // Legacy billing service fallback
-            const billingService = await serviceRegistry.get('billing').catch(() => null);
-            if (billingService) {
-                const canGenerate = await billingService.checkGenerationLimit(userId);
-                if (!canGenerate) {
-                    throw new Error('Generation limit exceeded for user plan');
-                }
-            }
-        }
+        await this.checkGenerationLimits(userId, industry, lang);
 
         try {
-            const prompt = this.buildAdvancedPrompt(industry, location, type, lang);
+            const voice = await loadBrandVoice(tenant);
+            const prompt = await promptService.render('description', {
+                tenant, industryKey, industry, location, type, lang, keywords,
+                brandVoice: brandVoice || (voice && buildVoiceInstructions(voice))
+            });
 
-            // Use modern GPT-4 with streaming support (2025 best practice)
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo",  // Updated to latest model
+            const response = await llmService.chat('description', {
                 messages: [
                     {
                         role: "system",
-                        content: "You are an expert marketing copywriter specializing in local business content."
+                        content: templateSystemPrompt(prompt, voice)
                     },
                     {
                         role: "user", 
-                        content: prompt
+                        content: prompt.prompt
                     }
                 ],
-                max_tokens: 500,
+                maxTokens: 500,
                 temperature: 0.7,
-                presence_penalty: 0.1,
-                frequency_penalty: 0.1,
-                // Add response format for consistency
-                response_format: { type: "text" }
-            });
+                context: { industry, location, type, lang }
+            }, { tenant, userId: usageUserId });
 
-            const description = response.choices[0].message.content?.trim();
+            const description = response.content;
 
             if (!description) {
-                throw new Error('Empty response from OpenAI API');
-            }
-
-            // Track usage in both new and legacy systems
-            const usageValidator = await serviceRegistry.get('usageValidator').catch(() => null);
-            if (usageValidator && userId) {
-                await usageValidator.recordUsage(userId, 'page_generation', 1);
+                throw new Error(`Empty response from AI provider ${response.provider}`);
             }
 
-            const billingService = await serviceRegistry.get('billing').catch(() => null);
-            if (billingService && userId) {
-                await billingService.trackUsage(userId, 'generation', 1);
-            }
+            await this.recordGeneration(userId);
 
             aiLogger.info('AI description generated', {
                 userId,
@@ -138,12 +129,20 @@ class AIService {
                 location,
                 type,
                 lang,
-                model: "gpt-4-turbo",
-                tokensUsed: response.usage?.total_tokens || 0,
+                provider: response.provider,
+                model: response.model,
+                promptTemplate: prompt.template,
+                promptVersion: prompt.version,
+                tokensUsed: response.usage.inputTokens + response.usage.outputTokens,
                 charactersGenerated: description.length
             });
 
-            return description;
+            const voiceCheck = voice && checkBrandVoice(description, voice);
+            if (voiceCheck && !voiceCheck.passes) {
+                aiLogger.warn('AI description breaks brand voice', { userId, industry, location, type, lang, ...voiceCheck });
+            }
+
+            return { description, prompt: { template: prompt.template, version: prompt.version }, voiceCheck };
 
         } catch (error) {
             aiLogger.error('AI generation failed', {
@@ -156,63 +155,314 @@ class AIService {
                 errorType: error.constructor.name
             });
 
-            // Enhanced error handling for 2025 API
-            if (error.status === 401) {
-                throw new Error('Invalid OpenAI API key');
-            } else if (error.status === 429) {
-                throw new Error('OpenAI rate limit exceeded. Please try again later.');
-            } else if (error.status === 503) {
-                throw new Error('OpenAI service temporarily unavailable');
-            } else if (error.status === 400) {
-                throw new Error('Invalid request parameters');
+            throw providerError(error);
+        }
+    }
+
+    /**
+     * Page content as one structured document: title, metaDescription, h1, intro,
+     * features, cta and faq (schema in config/page-content.js). Replies that are not
+     * valid JSON or break the schema's limits are sent back to the model with the
+     * errors, up to settings.ai.structuredAttempts attempts in total.
+     * @param {Object} options - { tenant, industryKey, keywords, brandVoice, userId }, as for generateDescription
+     * @returns {Promise<{ content: Object, prompt: { template, version }, voiceCheck, attempts: number }>}
+     */
+    async generatePageContent(industry, location, type, lang, userId = null, { tenant = null, industryKey, keywords, brandVoice, userId: usageUserId = userId } = {}) {
+        if (!this.initialized) {
+            throw new Error('AI Service not initialized');
+        }
+
+        await this.checkGenerationLimits(userId, industry, lang);
+
+        try {
+            const voice = await loadBrandVoice(tenant);
+            const prompt = await promptService.render('structured', {
+                tenant, industryKey, industry, location, type, lang, keywords,
+                brandVoice: brandVoice || (voice && buildVoiceInstructions(voice))
+            });
+            const messages = [
+                { role: "system", content: templateSystemPrompt(prompt, voice) },
+                { role: "user", content: `${prompt.prompt}\n\n${describePageContent()}` }
+            ];
+
+            const maxAttempts = settings.ai.structuredAttempts;
+            let errors = [];
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                const response = await llmService.chat('structured', {
+                    messages,
+                    maxTokens: 2500,
+                    temperature: attempt === 1 ? 0.7 : 0.3,
+                    json: true,
+                    context: { industry, location, type, lang }
+                }, { tenant, userId: usageUserId });
+
+                let parsed = null;
+                try {
+                    parsed = JSON.parse(response.content || '');
+                } catch {
+                    // Reported below like any other schema error
+                }
+                const result = parsed ? parsePageContent(parsed) : { data: null, errors: ['reply: not valid JSON'] };
+                errors = result.errors;
+
+                if (!errors.length) {
+                    await this.recordGeneration(userId);
+
+                    aiLogger.info('AI page content generated', {
+                        userId,
+                        industry,
+                        location,
+                        type,
+                        lang,
+                        provider: response.provider,
+                        model: response.model,
+                        promptTemplate: prompt.template,
+                        promptVersion: prompt.version,
+                        attempts: attempt,
+                        tokensUsed: response.usage.inputTokens + response.usage.outputTokens
+                    });
+
+                    const voiceCheck = voice && checkBrandVoice(pageContentText(result.data), voice);
+                    if (voiceCheck && !voiceCheck.passes) {
+                        aiLogger.warn('AI page content breaks brand voice', { userId, industry, location, type, lang, ...voiceCheck });
+                    }
+
+                    return {
+                        content: result.data,
+                        prompt: { template: prompt.template, version: prompt.version },
+                        voiceCheck,
+                        attempts: attempt
+                    };
+                }
+
+                aiLogger.warn('AI page content invalid', { industry, location, type, lang, attempt, errors });
+                messages.push(
+                    { role: "assistant", content: response.content || '' },
+                    { role: "user", content: buildRepairPrompt(errors) }
+                );
             }
-            
-            throw error;
+
+            throw new Error(`Page content still invalid after ${maxAttempts} attempts: ${errors.join('; ')}`);
+
+        } catch (error) {
+            aiLogger.error('AI page content generation failed', {
+                userId,
+                industry,
+                location,
+                type,
+                lang,
+                error: error.message
+            });
+            throw providerError(error);
         }
     }
 
     /**
-     * Enhanced prompt building with 2025 SEO best practices
+     * Plan limits of a user (usage validator and legacy billing service)
      */
-    buildAdvancedPrompt(industry, location, type, lang) {
-        const languageInstructions = {
-            'en': 'Write in professional English with American SEO optimization',
-            'es': 'Escribe en español profesional con optimización SEO para hispanohablantes',
-            'fr': 'Écrivez en français professionnel avec optimisation SEO française',
-            'de': 'Schreiben Sie in professionellem Deutsch mit deutscher SEO-Optimierung',
-            'it': 'Scrivi in italiano professionale con ottimizzazione SEO italiana',
-            'pt': 'Escreva em português profissional com otimização SEO brasileira',
-            'ru': 'Пишите на профессиональном русском языке с русской SEO-оптимизацией',
-            'ja': 'プロフェッショナルな日本語でSEO最適化して書いてください',
-            'zh': '用专业中文写作，并进行中文SEO优化'
-        };
+    async checkGenerationLimits(userId, industry, lang) {
+        if (!userId) return;
+
+        // Advanced billing check using service registry pattern
+        const usageValidator = await serviceRegistry.get('usageValidator').catch(() => null);
+        if (usageValidator) {
+            const validation = await usageValidator.validateUsage(userId, 'page_generation', {
+                industry,
+                language: lang
+            });
+
+            if (!validation.allowed) {
+                throw new Error(validation.reason);
+            }
+        }
+
+        // Legacy billing service fallback
+        const billingService = await serviceRegistry.get('billing').catch(() => null);
+        if (billingService) {
+            const canGenerate = await billingService.checkGenerationLimit(userId);
+            if (!canGenerate) {
+                throw new Error('Generation limit exceeded for user plan');
+            }
+        }
+    }
+
+    /**
+     * Track a generation in both new and legacy usage systems
+     */
+    async recordGeneration(userId) {
+        if (!userId) return;
+
+        const usageValidator = await serviceRegistry.get('usageValidator').catch(() => null);
+        if (usageValidator) {
+            await usageValidator.recordUsage(userId, 'page_generation', 1);
+        }
+
+        const billingService = await serviceRegistry.get('billing').catch(() => null);
+        if (billingService) {
+            await billingService.trackUsage(userId, 'generation', 1);
+        }
+    }
+
+    /**
+     * Generate location-specific question/answer pairs for a page's FAQ section
+     * @param {Object} options - { seeds: search queries to base questions on, min, max, tenant,
+     *   userId: user the AI usage is recorded for }
+     * @returns {Promise<Array<{question: string, answer: string}>>}
+     */
+    async generateFaq(industry, location, type, lang, { seeds = [], min = settings.faq.minQuestions, max = settings.faq.maxQuestions, tenant = null, userId = null } = {}) {
+        if (!this.initialized) {
+            throw new Error('AI Service not initialized');
+        }
+
+        const prompt = this.buildFaqPrompt(industry, location, type, lang, { seeds, min, max });
+
+        try {
+            const voice = await loadBrandVoice(tenant);
+            const response = await llmService.chat('faq', {
+                messages: [
+                    {
+                        role: "system",
+                        content: withBrandVoice("You are an expert local SEO copywriter. Reply with JSON only.", voice)
+                    },
+                    {
+                        role: "user",
+                        content: prompt
+                    }
+                ],
+                maxTokens: 1200,
+                temperature: 0.5,
+                json: true,
+                context: { industry, location, type, lang, min, max }
+            }, { tenant, userId });
+
+            const parsed = JSON.parse(response.content || '{}');
+            const faq = (Array.isArray(parsed.faq) ? parsed.faq : [])
+                .map(item => ({
+                    question: String(item?.question || '').trim(),
+                    answer: String(item?.answer || '').trim()
+                }))
+                .filter(item => item.question && item.answer)
+                .slice(0, max);
+
+            if (faq.length < min) {
+                throw new Error(`Expected at least ${min} FAQ entries, got ${faq.length}`);
+            }
+
+            aiLogger.info('AI FAQ generated', {
+                industry,
+                location,
+                type,
+                lang,
+                provider: response.provider,
+                model: response.model,
+                seeds: seeds.length,
+                questions: faq.length,
+                tokensUsed: response.usage.inputTokens + response.usage.outputTokens
+            });
+
+            return faq;
+
+        } catch (error) {
+            aiLogger.error('AI FAQ generation failed', {
+                industry,
+                location,
+                type,
+                lang,
+                error: error.message
+            });
+            throw error;
+        }
+    }
 
-        const instruction = languageInstructions[lang] || languageInstructions['en'];
+    /**
+     * FAQ prompt: answers short enough for voice search and featured snippets
+     */
+    buildFaqPrompt(industry, location, type, lang, { seeds = [], min = settings.faq.minQuestions, max = settings.faq.maxQuestions } = {}) {
+        const seedList = seeds.length
+            ? `\nBase questions on what people actually search for:\n${seeds.map(seed => `- ${seed}`).join('\n')}\n`
+            : '';
 
-        // Enhanced prompt for 2025 AI capabilities
-        return `Create a compelling, conversion-focused business description for a ${industry} ${type} in ${location}.
+        return `Write ${min}-${max} frequently asked questions with answers for a ${industry} ${type} page about ${location}.
 
 REQUIREMENTS:
-- ${instruction}
-- Length: 180-350 words
-- Include location-specific keywords naturally
-- Focus on unique value propositions and customer benefits  
-- Add emotional triggers and trust signals
-- Include clear call-to-action
-- Use power words that drive conversions
-- Optimize for voice search and mobile users (2025 SEO)
-- Structure for featured snippets potential
-
-CONTEXT:
-- Industry: ${industry}
-- Business Type: ${type}  
-- Location: ${location}
-- Target Language: ${lang}
-- Year: 2025 (use current market trends)
-
-TONE: Professional, trustworthy, locally-focused, conversion-optimized
-
-Generate the marketing copy now:`;
+- Language: ${lang} (questions and answers)
+- Every question is specific to ${location} (neighbourhoods, prices, seasons, regulations, travel, etc.)
+- Phrase questions the way people ask them in voice search
+- Answers: 1-3 sentences (40-60 words), directly answering the question first, suitable for featured snippets
+- No prices, dates or facts you are not sure of; no contact details
+${seedList}
+Reply as JSON: {"faq": [{"question": "...", "answer": "..."}]}`;
+    }
+
+    /**
+     * Meta description (at most 160 characters) of a page text
+     * @param {Object} options - { tenant: Tenant or id whose model and brand voice apply,
+     *   userId: user the AI usage is recorded for }
+     */
+    async generateMetaDescription(text, lang, { tenant = null, userId = null } = {}) {
+        if (!this.initialized) {
+            throw new Error('AI Service not initialized');
+        }
+
+        const voice = await loadBrandVoice(tenant);
+        const response = await llmService.chat('meta', {
+            messages: [
+                {
+                    role: "system",
+                    content: withBrandVoice("You are an SEO copywriter. Reply with the meta description only, without quotes.", voice)
+                },
+                {
+                    role: "user",
+                    content: `Write a meta description of 120-160 characters in language "${lang}" for this page. Lead with the main benefit and end with a short call to action.\n---\n${text}\n---`
+                }
+            ],
+            maxTokens: 120,
+            temperature: 0.5,
+            context: { lang }
+        }, { tenant, userId });
+
+        const meta = (response.content || '').replace(/^["']|["']$/g, '').trim();
+        if (!meta) {
+            throw new Error(`Empty response from AI provider ${response.provider}`);
+        }
+        // Cut overlong replies at a word boundary
+        return meta.length <= 160 ? meta : `${meta.slice(0, 157).replace(/\s+\S*$/, '')}...`;
+    }
+
+    /**
+     * Social media post promoting a page
+     * @param {Object} page - { industry, location, type, lang, seoText }
+     * @param {string} platform - key of socialPlatforms (services/social.js)
+     * @param {Object} options - { tenant: Tenant or id whose model and brand voice apply }
+     */
+    async generateSocialCaption(page, platform, { tenant = null } = {}) {
+        if (!this.initialized) {
+            throw new Error('AI Service not initialized');
+        }
+
+        const { label, maxLength } = socialPlatforms[platform] || socialPlatforms.twitter;
+        const voice = await loadBrandVoice(tenant);
+        const response = await llmService.chat('social', {
+            messages: [
+                {
+                    role: "system",
+                    content: withBrandVoice("You are a social media copywriter for local businesses. Reply with the post text only.", voice)
+                },
+                {
+                    role: "user",
+                    content: `Write a ${label} post in language "${page.lang}" promoting our ${page.type} offer in ${page.location}. At most ${maxLength} characters including up to 3 hashtags; the link is added separately.\n---\n${page.seoText}\n---`
+                }
+            ],
+            maxTokens: 200,
+            temperature: 0.8,
+            context: { industry: page.industry, location: page.location, type: page.type, lang: page.lang }
+        }, { tenant });
+
+        const caption = (response.content || '').trim();
+        if (!caption) {
+            throw new Error(`Empty response from AI provider ${response.provider}`);
+        }
+        return caption.slice(0, maxLength);
     }
 
     /**
@@ -341,7 +591,7 @@ Generate the marketing copy now:`;
     /**
      * Modern streaming generation for real-time UI (2025 feature)
      */
-    async *generateStreamingDescription(industry, location, type, lang, userId = null) {
+    async *generateStreamingDescription(industry, location, type, lang, userId = null, { tenant = null, industryKey, keywords, brandVoice } = {}) {
         if (!this.initialized) {
             throw new Error('AI Service not initialized');
         }
@@ -362,28 +612,30 @@ Generate the marketing copy now:`;
         }
 
         try {
-            const prompt = this.buildAdvancedPrompt(industry, location, type, lang);
+            const voice = await loadBrandVoice(tenant);
+            const prompt = await promptService.render('description', {
+                tenant, industryKey, industry, location, type, lang, keywords,
+                brandVoice: brandVoice || (voice && buildVoiceInstructions(voice))
+            });
 
-            const stream = await this.openai.chat.completions.create({
-                model: "gpt-4-turbo",
+            const stream = llmService.stream('description', {
                 messages: [
                     {
                         role: "system",
-                        content: "You are an expert marketing copywriter specializing in local business content."
+                        content: templateSystemPrompt(prompt, voice)
                     },
                     {
                         role: "user", 
-                        content: prompt
+                        content: prompt.prompt
                     }
                 ],
-                max_tokens: 500,
+                maxTokens: 500,
                 temperature: 0.7,
-                stream: true  // Enable streaming
-            });
+                context: { industry, location, type, lang }
+            }, { tenant, userId });
 
             let fullContent = '';
-            for await (const chunk of stream) {
-                const content = chunk.choices[0]?.delta?.content || '';
+            for await (const content of stream) {
                 fullContent += content;
                 
                 yield {
@@ -427,8 +679,28 @@ Generate the marketing copy now:`;
 const aiService = new AIService();
 
 // Enhanced legacy function exports with modern features
-export async function generateDescription(industry, location, type, lang, userId) {
-    return await aiService.generateDescription(industry, location, type, lang, userId);
+export async function generateDescription(industry, location, type, lang, userId, options) {
+    return await aiService.generateDescription(industry, location, type, lang, userId, options);
+}
+
+export async function generateDescriptionDetailed(industry, location, type, lang, userId, options) {
+    return await aiService.generateDescriptionDetailed(industry, location, type, lang, userId, options);
+}
+
+export async function generatePageContent(industry, location, type, lang, userId, options) {
+    return await aiService.generatePageContent(industry, location, type, lang, userId, options);
+}
+
+export async function generateMetaDescription(text, lang, options) {
+    return await aiService.generateMetaDescription(text, lang, options);
+}
+
+export async function generateSocialCaption(page, platform, options) {
+    return await aiService.generateSocialCaption(page, platform, options);
+}
+
+export async function generateFaq(industry, location, type, lang, options) {
+    return await aiService.generateFaq(industry, location, type, lang, options);
 }
 
 export async function generateBulkContent(requests, userId) {
@@ -436,24 +708,20 @@ export async function generateBulkContent(requests, userId) {
 }
 
 // New 2025 streaming function
-export async function* generateStreamingDescription(industry, location, type, lang, userId) {
-    yield* aiService.generateStreamingDescription(industry, location, type, lang, userId);
+export async function* generateStreamingDescription(industry, location, type, lang, userId, options) {
+    yield* aiService.generateStreamingDescription(industry, location, type, lang, userId, options);
 }
 
 export async function validateAiApiKey() {
     return await aiService.validateApiKey();
 }
 
-export async function getAiUsageStats() {
-    // Enhanced usage statistics
-    return {
-        tokensUsedToday: 0,
-        requestsThisMonth: 0,
-        estimatedCost: 0,
-        averageResponseTime: 0,
-        successRate: 100,
-        lastUpdated: new Date().toISOString()
-    };
+/**
+ * Today's and this month's AI usage (tokens, calls, cost, latency, success rate)
+ * @param {Object|string|null} tenant - Tenant or id; null = the whole platform
+ */
+export async function getAiUsageStats(tenant = null) {
+    return getUsageStats(tenant);
 }
 
 export default aiService;
\ No newline at end of file
@@ -1,6 +1,4 @@
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-dotenv.config();
+import { llmService } from "./llm/index.js";
 
 /**
  * Analyze traffic data and suggest improvements
@@ -9,19 +7,10 @@ export async function analyzeTraffic(pagesData) {
     const prompt = `Analyze the following page performance data and suggest improvements to increase engagement:
     ${JSON.stringify(pagesData)}`;
 
-    const res = await fetch("https://api.openai.com/v1/completions", {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-            model: "gpt-3.5-turbo-instruct",
-            prompt,
-            max_tokens: 250
-        })
+    const response = await llmService.chat("analytics", {
+        messages: [{ role: "user", content: prompt }],
+        maxTokens: 250
     });
 
-    const data = await res.json();
-    return data.choices?.[0]?.text?.trim() || "";
+    return response.content;
 }
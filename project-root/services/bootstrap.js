@@ -66,7 +66,7 @@ export async function bootstrapServices() {
   // AI
   serviceRegistry.register("ai", aiService, {
     version: "2.0.0",
-    description: "OpenAI integration service",
+    description: "AI provider integration service",
     dependencies: ["logger", "usageValidator"],
     tags: ["ai", "external-api"],
     timeout: 120000,
@@ -90,13 +90,6 @@ export async function bootstrapServices() {
   await serviceRegistry.initialize("billing");
 
   // Optional services
-  await registerOptionalService("massGenerator", "./massGenerator.js", {
-    description: "Mass page generation helper",
-    dependencies: ["logger", "usageValidator"],
-    tags: ["generation"],
-    initialize: false,
-  });
-
   await registerOptionalService("email", "./email.js", {
     description: "Email delivery service (SMTP/SendGrid)",
     dependencies: ["logger"],
@@ -0,0 +1,173 @@
+// Tenant brand voice. Its instructions are added to the system prompt of every
+// generation for the tenant (page text, FAQ, meta description, social captions),
+// and saved pages are checked for banned words and missing mandatory phrases.
+
+import mongoose from "mongoose";
+import Tenant from "../models/Tenant.js";
+import LandingPage from "../models/LandingPage.js";
+import { readingLevels, formalities, brandVoiceLimits } from "../config/brand-voice.js";
+
+const defaultVoice = {
+    tone: "",
+    bannedWords: [],
+    mandatoryPhrases: [],
+    readingLevel: "standard",
+    formality: "neutral",
+    sampleCopy: "",
+    defaultCta: ""
+};
+
+/**
+ * Brand voice of a tenant with defaults for unset values
+ */
+export function getBrandVoice(tenant) {
+    // Key by key: also works on Mongoose documents
+    const voice = tenant?.brandVoice || {};
+    return Object.fromEntries(Object.entries(defaultVoice).map(([key, value]) => [key, voice[key] ?? value]));
+}
+
+/**
+ * Whether a voice says anything beyond the defaults
+ */
+export function hasBrandVoice(voice) {
+    return Boolean(voice.tone || voice.bannedWords.length || voice.mandatoryPhrases.length
+        || voice.sampleCopy || voice.defaultCta
+        || voice.readingLevel !== defaultVoice.readingLevel || voice.formality !== defaultVoice.formality);
+}
+
+/**
+ * Brand voice of a tenant (document or id); null when the tenant has none
+ */
+export async function loadBrandVoice(tenant) {
+    if (!tenant) return null;
+    const tenantDoc = typeof tenant === "string" || tenant instanceof mongoose.Types.ObjectId
+        ? await Tenant.findById(tenant).select("brandVoice").lean()
+        : tenant;
+    const voice = getBrandVoice(tenantDoc);
+    return hasBrandVoice(voice) ? voice : null;
+}
+
+/**
+ * Prompt instructions for a voice
+ */
+export function buildVoiceInstructions(voice) {
+    const lines = ["BRAND VOICE:"];
+    if (voice.tone) lines.push(`- Tone: ${voice.tone}`);
+    lines.push(`- Formality: ${formalities[voice.formality]}`);
+    lines.push(`- Reading level: ${readingLevels[voice.readingLevel]}`);
+    if (voice.bannedWords.length) {
+        lines.push(`- Never use these words: ${voice.bannedWords.join(", ")}`);
+    }
+    if (voice.mandatoryPhrases.length) {
+        lines.push(`- Always include these phrases word for word: ${voice.mandatoryPhrases.map(phrase => `"${phrase}"`).join(", ")}`);
+    }
+    if (voice.defaultCta) {
+        lines.push(`- Call to action, unless told otherwise: "${voice.defaultCta}"`);
+    }
+    if (voice.sampleCopy) {
+        lines.push(`- Match the style of this sample copy:\n"""\n${voice.sampleCopy}\n"""`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * System prompt with the voice's instructions appended
+ */
+export function withBrandVoice(system, voice) {
+    return voice ? `${system}\n\n${buildVoiceInstructions(voice)}` : system;
+}
+
+/**
+ * System prompt of a rendered template (services/prompts.js) with the voice applied
+ * once: through the template's {{brandVoice}} variable when it uses it, otherwise
+ * appended to the system prompt
+ */
+export function templateSystemPrompt(prompt, voice) {
+    return prompt.usesBrandVoice ? prompt.system : withBrandVoice(prompt.system, voice);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalize(text) {
+    return String(text || "").replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Banned words (whole words, any case) found in a text and mandatory phrases it lacks
+ * @returns {{ passes: boolean, bannedWords: string[], missingPhrases: string[] }}
+ */
+export function checkBrandVoice(text, voice) {
+    const content = String(text || "");
+    const bannedWords = voice.bannedWords.filter(word =>
+        new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}])`, "iu").test(content));
+    const normalized = normalize(content);
+    const missingPhrases = voice.mandatoryPhrases.filter(phrase => !normalized.includes(normalize(phrase)));
+
+    return { passes: !bannedWords.length && !missingPhrases.length, bannedWords, missingPhrases };
+}
+
+// Every string in a section's data (headings, FAQ answers, button labels...)
+function collectText(value, out = []) {
+    if (typeof value === "string") out.push(value);
+    else if (Array.isArray(value)) value.forEach(item => collectText(item, out));
+    else if (value && typeof value === "object") Object.values(value).forEach(item => collectText(item, out));
+    return out;
+}
+
+/**
+ * Check a page's source-language copy: text, meta description and enabled sections
+ * @returns {Object} LandingPage.voiceCheck value
+ */
+export function checkPageVoice(page, voice) {
+    const text = [
+        page.seoText,
+        page.metaDescription,
+        ...(page.sections || []).filter(section => section.enabled !== false).flatMap(section => collectText(section.data))
+    ].filter(Boolean).join("\n");
+
+    return { ...checkBrandVoice(text, voice), checkedAt: new Date() };
+}
+
+/**
+ * Re-check every page of a tenant, e.g. after its voice changed
+ * @returns {Promise<number>} pages that fail the check
+ */
+export async function recheckTenantPages(tenantId, voice) {
+    const pages = await LandingPage.find({ tenant: tenantId })
+        .select("seoText metaDescription sections")
+        .lean();
+
+    const updates = pages.map(page => ({
+        updateOne: {
+            filter: { _id: page._id },
+            update: voice ? { $set: { voiceCheck: checkPageVoice(page, voice) } } : { $unset: { voiceCheck: 1 } }
+        }
+    }));
+    if (updates.length) {
+        await LandingPage.bulkWrite(updates);
+    }
+    return voice ? updates.filter(update => !update.updateOne.update.$set.voiceCheck.passes).length : 0;
+}
+
+// One term per line; blank lines and duplicates dropped
+function parseTerms(value) {
+    const terms = String(value || "").split(/\r?\n/).map(term => term.trim()).filter(Boolean);
+    return [...new Set(terms)].slice(0, brandVoiceLimits.terms);
+}
+
+/**
+ * Tenant.brandVoice value from the brand voice form
+ */
+export function parseBrandVoiceInput(body) {
+    return {
+        tone: body.tone || "",
+        bannedWords: parseTerms(body.bannedWords),
+        mandatoryPhrases: parseTerms(body.mandatoryPhrases),
+        readingLevel: body.readingLevel,
+        formality: body.formality,
+        sampleCopy: body.sampleCopy || "",
+        defaultCta: body.defaultCta || ""
+    };
+}
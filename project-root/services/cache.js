@@ -1,6 +1,6 @@
-// - Sync API (getFromCache, saveToCache, getAllCacheKeys) keeps working with in-memory Map.
+// - Sync API (getFromCache, saveToCache, deleteFromCache, getAllCacheKeys) keeps working with in-memory Map.
 //   It also attempts non-blocking replication to Redis when available.
-// - Async API (getFromCacheAsync, saveToCacheAsync, getAllCacheKeysAsync) uses Redis if connected,
+// - Async API (getFromCacheAsync, saveToCacheAsync, deleteFromCacheAsync, getAllCacheKeysAsync) uses Redis if connected,
 //   with TTL support and JSON helpers, and falls back to memory if Redis is unavailable.
 
 import { createClient } from "redis";
@@ -96,6 +96,14 @@ export function saveToCache(key, value) {
   }
 }
 
+export function deleteFromCache(key) {
+  const existed = mem.delete(key);
+  if (redisReady) {
+    redisClient.del(key).catch(() => {});
+  }
+  return existed;
+}
+
 export function getAllCacheKeys() {
   // Sync version cannot scan Redis; returns only local keys.
   return Array.from(mem.keys());
@@ -153,6 +161,15 @@ export async function getAllCacheKeysAsync(pattern = "*") {
   return keys;
 }
 
+export async function deleteFromCacheAsync(key) {
+  await ensureRedis();
+  mem.delete(key);
+  if (redisReady) {
+    await redisClient.del(key);
+  }
+  return true;
+}
+
 // JSON convenience helpers for structured payloads
 export async function getJSON(key) {
   return getFromCacheAsync(key, { json: true });
@@ -0,0 +1,119 @@
+// CDN integration for public pages: responses are tagged with surrogate keys
+// (Fastly "Surrogate-Key", Cloudflare "Cache-Tag") so a purge can target one
+// page, a tenant's industry or a whole tenant instead of flushing everything.
+
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+const PURGE_TIMEOUT = 10000;
+
+// Header name and key separator expected by each provider
+const KEY_HEADERS = {
+    none: { name: "Surrogate-Key", separator: " " },
+    fastly: { name: "Surrogate-Key", separator: " " },
+    cloudflare: { name: "Cache-Tag", separator: "," }
+};
+
+function scope(tenantId) {
+    return tenantId ? tenantId.toString() : "platform";
+}
+
+export function tenantKey(tenantId) {
+    return `tenant-${scope(tenantId)}`;
+}
+
+export function industryKey(tenantId, industry) {
+    return `industry-${scope(tenantId)}-${industry}`;
+}
+
+export function pageKey(pageId) {
+    return `page-${pageId}`;
+}
+
+export function sitemapKey(tenantId) {
+    return `sitemap-${scope(tenantId)}`;
+}
+
+/**
+ * Keys a landing page response is tagged with
+ */
+export function pageSurrogateKeys(page) {
+    return [tenantKey(page.tenant), industryKey(page.tenant, page.industry), pageKey(page._id)];
+}
+
+class CdnService {
+    constructor() {
+        this.provider = KEY_HEADERS[settings.cdn.provider] ? settings.cdn.provider : "none";
+    }
+
+    /**
+     * Tag a response with surrogate keys
+     */
+    setSurrogateKeys(res, keys) {
+        const { name, separator } = KEY_HEADERS[this.provider];
+        res.set(name, [...new Set(keys)].join(separator));
+    }
+
+    /**
+     * Purge in the background; failures are logged, never thrown into the caller
+     */
+    purge(keys) {
+        this.purgeKeys(keys).catch(error => {
+            logger.error("CDN purge failed", { provider: this.provider, keys, error: error.message });
+        });
+    }
+
+    // A page changed: its own responses and the sitemap listing it
+    purgePage(page) {
+        this.purge([pageKey(page._id), sitemapKey(page.tenant)]);
+    }
+
+    purgeIndustry(tenantId, industry) {
+        this.purge([industryKey(tenantId, industry), sitemapKey(tenantId)]);
+    }
+
+    // Theme, robots or caching settings changed: everything the tenant serves
+    purgeTenant(tenantId) {
+        this.purge([tenantKey(tenantId), sitemapKey(tenantId)]);
+    }
+
+    async purgeKeys(keys) {
+        keys = [...new Set(keys)];
+        if (this.provider === "none" || keys.length === 0) return;
+
+        if (this.provider === "fastly") {
+            const { apiToken, serviceId } = settings.cdn.fastly;
+            await this.request(`https://api.fastly.com/service/${serviceId}/purge`, {
+                headers: { "Fastly-Key": apiToken },
+                body: { surrogate_keys: keys }
+            });
+        } else if (this.provider === "cloudflare") {
+            const { apiToken, zoneId } = settings.cdn.cloudflare;
+            await this.request(`https://api.cloudflare.com/client/v4/zones/${zoneId}/purge_cache`, {
+                headers: { Authorization: `Bearer ${apiToken}` },
+                body: { tags: keys }
+            });
+        }
+
+        logger.info("CDN purge requested", { provider: this.provider, keys });
+    }
+
+    async request(url, { headers, body }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), PURGE_TIMEOUT);
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: { ...headers, "Content-Type": "application/json", Accept: "application/json" },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export const cdnService = new CdnService();
+export default cdnService;
@@ -0,0 +1,236 @@
+import crypto from "crypto";
+import dns from "dns";
+import CustomDomain from "../models/CustomDomain.js";
+import Tenant from "../models/Tenant.js";
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+// Default resolver: real DNS. Anything with the same two methods can replace it
+// (e.g. a local stub in tests) through domainService.setResolver().
+const systemResolver = {
+    resolveTxt: (name) => dns.promises.resolveTxt(name),
+    resolveCname: (name) => dns.promises.resolveCname(name)
+};
+
+class DomainService {
+    constructor(resolver = systemResolver) {
+        this.resolver = resolver;
+    }
+
+    /**
+     * Swap the DNS resolver ({ resolveTxt(name), resolveCname(name) })
+     */
+    setResolver(resolver) {
+        this.resolver = resolver || systemResolver;
+    }
+
+    /**
+     * DNS record the tenant has to create to prove ownership
+     */
+    getInstructions(record) {
+        const { recordPrefix, cnameTarget } = settings.customDomains;
+        const name = `${recordPrefix}.${record.domain}`;
+
+        if (record.method === 'cname') {
+            return { type: 'CNAME', name, value: `${record.verificationToken}.${cnameTarget}` };
+        }
+        return { type: 'TXT', name, value: `ai-landing-verification=${record.verificationToken}` };
+    }
+
+    /**
+     * Whether another tenant serves the domain or holds it verified
+     */
+    async isTakenByOtherTenant(tenantId, domain) {
+        const [takenByTenant, verifiedElsewhere] = await Promise.all([
+            Tenant.exists({
+                _id: { $ne: tenantId },
+                $or: [{ domain }, { aliasDomains: domain }]
+            }),
+            CustomDomain.exists({ tenant: { $ne: tenantId }, domain, status: 'verified' })
+        ]);
+        return !!(takenByTenant || verifiedElsewhere);
+    }
+
+    /**
+     * Register a domain for a tenant and issue a verification token.
+     * Other tenants' unverified claims do not block it: whoever verifies first gets it.
+     * Throws a 409 error (statusCode set) when the domain is in use or already added.
+     */
+    async addDomain(tenantId, domain, method = 'txt') {
+        const normalized = domain.toLowerCase().trim().replace(/\.$/, '');
+
+        if (await this.isTakenByOtherTenant(tenantId, normalized)) {
+            const error = new Error('Domain is already in use');
+            error.statusCode = 409;
+            throw error;
+        }
+        if (await CustomDomain.exists({ tenant: tenantId, domain: normalized })) {
+            const error = new Error('Domain has already been added');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const record = await CustomDomain.create({
+            tenant: tenantId,
+            domain: normalized,
+            method,
+            verificationToken: crypto.randomBytes(16).toString('hex'),
+            history: [{ status: 'pending', reason: 'Domain added' }]
+        });
+
+        logger.info('Custom domain added', { tenantId, domain: normalized, method });
+        return record;
+    }
+
+    async listDomains(tenantId) {
+        return CustomDomain.find({ tenant: tenantId }).sort({ createdAt: -1 });
+    }
+
+    async getDomain(tenantId, domainId) {
+        return CustomDomain.findOne({ _id: domainId, tenant: tenantId });
+    }
+
+    /**
+     * Look up the verification record through the resolver
+     * @returns {Promise<{ ok: boolean, reason: string }>}
+     */
+    async checkRecord(record) {
+        const { name, value } = this.getInstructions(record);
+
+        try {
+            if (record.method === 'cname') {
+                const targets = await this.resolver.resolveCname(name);
+                const found = targets.some(t => t.toLowerCase().replace(/\.$/, '') === value.toLowerCase());
+                return { ok: found, reason: found ? 'CNAME record matches' : `CNAME ${name} does not point to ${value}` };
+            }
+
+            const records = await this.resolver.resolveTxt(name);
+            // TXT answers come back as arrays of chunks per record
+            const found = records.some(chunks => [].concat(chunks).join('') === value);
+            return { ok: found, reason: found ? 'TXT record matches' : `TXT ${name} does not contain the verification token` };
+
+        } catch (error) {
+            return { ok: false, reason: `DNS lookup failed: ${error.code || error.message}` };
+        }
+    }
+
+    /**
+     * Verify (or re-verify) a domain and activate/deactivate it on the tenant
+     */
+    async verifyDomain(record) {
+        const wasVerified = record.status === 'verified';
+        let { ok, reason } = await this.checkRecord(record);
+        if (ok && !wasVerified && await this.isTakenByOtherTenant(record.tenant, record.domain)) {
+            ok = false;
+            reason = 'Domain is already in use by another tenant';
+        }
+        record.lastCheckedAt = new Date();
+
+        if (ok) {
+            record.consecutiveFailures = 0;
+            record.lastError = null;
+            if (!wasVerified) {
+                record.status = 'verified';
+                record.verifiedAt = new Date();
+                record.history.push({ status: 'verified', reason });
+                await this.activate(record);
+                // Other tenants' claims on the domain can no longer succeed
+                await CustomDomain.deleteMany({ domain: record.domain, tenant: { $ne: record.tenant }, status: 'pending' });
+            }
+        } else {
+            record.consecutiveFailures += 1;
+            record.lastError = reason;
+            // Unverified domains simply stay pending; a verified one gets a few chances before it is switched off
+            if (wasVerified && record.consecutiveFailures >= settings.customDomains.maxFailures) {
+                record.status = 'failed';
+                record.history.push({ status: 'failed', reason });
+                await this.deactivate(record);
+            }
+        }
+
+        await record.save();
+
+        logger.info('Custom domain checked', {
+            tenantId: record.tenant,
+            domain: record.domain,
+            status: record.status,
+            ok,
+            reason
+        });
+
+        return record;
+    }
+
+    /**
+     * Make the domain the tenant's active Tenant.domain; the old one stays as an alias
+     */
+    async activate(record) {
+        const tenant = await Tenant.findById(record.tenant);
+        if (!tenant) return;
+
+        if (tenant.domain && tenant.domain !== record.domain) {
+            record.previousDomain = tenant.domain;
+            tenant.aliasDomains.addToSet(tenant.domain);
+        }
+        tenant.domain = record.domain;
+        tenant.aliasDomains.pull(record.domain);
+        await tenant.save();
+    }
+
+    /**
+     * Stop serving the domain for the tenant. If it was the active domain, the previous
+     * one comes back only while the tenant still holds it verified.
+     */
+    async deactivate(record) {
+        const tenant = await Tenant.findById(record.tenant);
+        if (!tenant) return;
+
+        tenant.aliasDomains.pull(record.domain);
+        if (tenant.domain === record.domain) {
+            const restore = record.previousDomain && await CustomDomain.exists({
+                tenant: record.tenant,
+                domain: record.previousDomain,
+                status: 'verified'
+            });
+            tenant.domain = restore ? record.previousDomain : undefined;
+            if (restore) {
+                tenant.aliasDomains.pull(record.previousDomain);
+            }
+        }
+        await tenant.save();
+    }
+
+    async removeDomain(tenantId, domainId) {
+        const record = await this.getDomain(tenantId, domainId);
+        if (!record) return null;
+
+        if (record.status === 'verified') {
+            await this.deactivate(record);
+        }
+        await record.deleteOne();
+
+        logger.info('Custom domain removed', { tenantId, domain: record.domain });
+        return record;
+    }
+
+    /**
+     * Periodic job: re-check verified domains and retry pending ones
+     */
+    async reverifyAll() {
+        const records = await CustomDomain.find({ status: { $in: ['verified', 'pending'] } });
+        const summary = { checked: 0, verified: 0, failed: 0 };
+
+        for (const record of records) {
+            await this.verifyDomain(record);
+            summary.checked++;
+            if (record.status === 'verified') summary.verified++;
+            if (record.status === 'failed') summary.failed++;
+        }
+
+        logger.info('Custom domain re-verification completed', summary);
+        return summary;
+    }
+}
+
+export const domainService = new DomainService();
+export default domainService;
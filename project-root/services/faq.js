@@ -0,0 +1,93 @@
+// AI-generated FAQ sections: location-specific questions seeded with related
+// search queries from the trends service, stored as a 'faq' page section.
+
+import { generateFaq } from "./ai.js";
+import { getRelatedQueries } from "./trends.js";
+import { getPage } from "./pages.js";
+import { withAiSection } from "./sections.js";
+import { resolvePageTemplate, templateSections } from "./templates.js";
+import Tenant from "../models/Tenant.js";
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+/**
+ * Related search queries for a page, used as question seeds.
+ * Trends lookups are best effort: a slow or failing lookup yields no seeds.
+ */
+export async function getFaqSeeds(location, type) {
+    const { seedQueries, seedTimeoutMs } = settings.faq;
+    let timer;
+
+    try {
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve([]), seedTimeoutMs);
+        });
+        const queries = await Promise.race([getRelatedQueries(`${type} ${location}`), timeout]);
+        return [...new Set((queries || []).map(q => q.query).filter(Boolean))].slice(0, seedQueries);
+    } catch (error) {
+        logger.warn('FAQ seed queries unavailable', { location, type, error: error.message });
+        return [];
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Page sections with the AI FAQ replaced by new questions. Hand-made FAQ
+ * sections are kept; a new AI FAQ fills an empty FAQ slot of the template,
+ * otherwise it goes right after the hero.
+ * @param {Array} sections - current sections of the page
+ * @param {Array} items - [{ question, answer }]
+ * @param {string} lang - language the questions are written in
+ * @param {Array} defaults - the page template's sections, used when the page has none
+ */
+export function withFaqSection(sections, items, lang, defaults) {
+    return withAiSection(sections, 'faq', { items, lang }, defaults);
+}
+
+/**
+ * Current sections of a page and its template's sections (used when it has none)
+ * @param {Object} identity - { tenant, industry, lang, location, type }
+ * @returns {Promise<{ sections: Array|undefined, defaults: Array }>}
+ */
+export async function loadPageSections(identity) {
+    const page = await getPage(identity);
+    const tenant = identity.tenant ? await Tenant.findById(identity.tenant).lean() : null;
+    const template = resolvePageTemplate(page || identity, tenant);
+    return { sections: page?.sections, defaults: templateSections(template) };
+}
+
+/**
+ * Generate the FAQ of a page and return its sections with the FAQ in place.
+ * Failures are logged and yield null so page generation goes on without a FAQ.
+ * @param {Object} identity - { tenant, industry, lang, location, type }
+ * @param {Object} options - { industryName: label used in the prompt, userId: user the AI usage is recorded for }
+ */
+export async function generateFaqSections(identity, { industryName = identity.industry, userId = null } = {}) {
+    const { lang, location, type } = identity;
+    const { minQuestions, maxQuestions } = settings.faq;
+
+    try {
+        const seeds = await getFaqSeeds(location, type);
+        const items = await generateFaq(industryName, location, type, lang, {
+            seeds,
+            min: minQuestions,
+            max: maxQuestions,
+            tenant: identity.tenant,
+            userId
+        });
+
+        const { sections, defaults } = await loadPageSections(identity);
+        return withFaqSection(sections, items, lang, defaults);
+
+    } catch (error) {
+        logger.error('FAQ generation failed', {
+            industry: identity.industry,
+            lang,
+            location,
+            type,
+            error: error.message
+        });
+        return null;
+    }
+}
@@ -1,24 +1,10 @@
-import fetch from 'node-fetch';
-import dotenv from 'dotenv';
-dotenv.config();
+import { llmService } from "./llm/index.js";
 
 /**
- * Generate image using OpenAI DALL·E API
+ * Generate image with the configured image model
+ * @param {Object} options - { tenant: Tenant or id whose model choice applies, userId: user the AI usage is recorded for }
  */
-export async function generateImage(prompt) {
-    const url = "https://api.openai.com/v1/images/generations";
-    const response = await fetch(url, {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-            prompt,
-            n: 1,
-            size: "1024x1024"
-        })
-    });
-    const data = await response.json();
-    return data.data?.[0]?.url || null;
+export async function generateImage(prompt, { tenant = null, userId = null } = {}) {
+    const response = await llmService.image("image", { prompt, size: "1024x1024" }, { tenant, userId });
+    return response.url;
 }
@@ -1,29 +1,19 @@
-import fetch from "node-fetch";
-import dotenv from "dotenv";
-dotenv.config();
+import { llmService } from "./llm/index.js";
 
 /**
  * Generate SEO keyword list from given text/topic using AI
+ * @param {Object} options - { tenant: Tenant or id whose model choice applies }
  */
-export async function suggestKeywordsFromText(text) {
+export async function suggestKeywordsFromText(text, { tenant = null } = {}) {
     const prompt = `From the following text, extract and suggest 10 optimal SEO keywords as a comma-separated list:
     ---
     ${text}
     ---`;
 
-    const res = await fetch("https://api.openai.com/v1/completions", {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-            model: "gpt-3.5-turbo-instruct",
-            prompt,
-            max_tokens: 100
-        })
-    });
+    const response = await llmService.chat("keywords", {
+        messages: [{ role: "user", content: prompt }],
+        maxTokens: 100
+    }, { tenant });
 
-    const data = await res.json();
-    return data.choices?.[0]?.text?.split(",").map(k => k.trim()).filter(Boolean) || [];
+    return response.content.split(",").map(k => k.trim()).filter(Boolean);
 }
@@ -0,0 +1,107 @@
+// Anthropic Messages API adapter (chat and streaming; no image or embedding models)
+
+const API_URL = "https://api.anthropic.com/v1";
+const API_VERSION = "2023-06-01";
+const DEFAULT_MAX_TOKENS = 1024;
+
+// System prompts are a request field, not a message role
+function splitMessages(messages) {
+    return {
+        system: messages.filter(m => m.role === "system").map(m => m.content).join("\n\n") || undefined,
+        turns: messages.filter(m => m.role !== "system").map(m => ({ role: m.role, content: m.content }))
+    };
+}
+
+export class AnthropicProvider {
+    constructor(name, { apiKey, baseUrl = API_URL, timeoutMs = 30000 }) {
+        this.name = name;
+        this.capabilities = ["chat", "stream"];
+        this.configured = Boolean(apiKey);
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+        this.timeoutMs = timeoutMs;
+    }
+
+    async request(path, { method = "POST", body } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers: {
+                    "x-api-key": this.apiKey,
+                    "anthropic-version": API_VERSION,
+                    "content-type": "application/json"
+                },
+                body: body && JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const error = new Error(data.error?.message || `Anthropic API error ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response;
+        } finally {
+            // Streams may run longer than the timeout once they have started
+            clearTimeout(timer);
+        }
+    }
+
+    async chat({ model, messages, maxTokens = DEFAULT_MAX_TOKENS, temperature, json = false }) {
+        const { system, turns } = splitMessages(messages);
+        // No JSON mode: prefill the reply so it starts as an object
+        if (json) turns.push({ role: "assistant", content: "{" });
+
+        const response = await this.request("/messages", {
+            body: { model, system, messages: turns, max_tokens: maxTokens, temperature }
+        });
+        const data = await response.json();
+        const text = (data.content || []).filter(block => block.type === "text").map(block => block.text).join("");
+
+        return {
+            content: (json ? `{${text}` : text).trim(),
+            model: data.model || model,
+            usage: {
+                inputTokens: data.usage?.input_tokens || 0,
+                outputTokens: data.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    async *stream({ model, messages, maxTokens = DEFAULT_MAX_TOKENS, temperature }) {
+        const { system, turns } = splitMessages(messages);
+        const response = await this.request("/messages", {
+            body: { model, system, messages: turns, max_tokens: maxTokens, temperature, stream: true }
+        });
+
+        // Server-sent events; text arrives in content_block_delta events
+        const decoder = new TextDecoder();
+        let buffer = "";
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const events = buffer.split("\n\n");
+            buffer = events.pop();
+
+            for (const event of events) {
+                const data = event.split("\n").find(line => line.startsWith("data:"));
+                if (!data) continue;
+                const payload = JSON.parse(data.slice(5));
+                if (payload.type === "content_block_delta" && payload.delta?.text) {
+                    yield payload.delta.text;
+                } else if (payload.type === "error") {
+                    throw new Error(payload.error?.message || "Anthropic stream error");
+                }
+            }
+        }
+    }
+
+    async validate() {
+        if (!this.apiKey) return false;
+        await this.request("/models?limit=1", { method: "GET" });
+        return true;
+    }
+}
@@ -0,0 +1,244 @@
+// Provider-neutral access to language and image models.
+// Every AI operation (page text, FAQ, translation...) runs on the model named in
+// settings.ai.models as "<provider>:<model>"; tenants can override single
+// operations (Tenant.aiModels). Providers are adapters with one interface:
+//   chat({ model, messages, maxTokens, temperature, json }) -> { content, model, usage }
+//   stream(request)                                          -> async iterable of text chunks
+//   image({ model, prompt, size })                           -> { url, model }
+//   embeddings({ model, input })                             -> { vectors, model, usage }
+//   validate()                                               -> boolean
+// and list what they support in `capabilities`. Requests also carry the `operation`
+// and may carry a `context` ({ lang, industry, location, type... }); real providers
+// ignore both, the mock provider (AI_MOCK=true) builds its fixture replies from them.
+// Every call is recorded with its tokens, cost and latency (services/ai-usage.js).
+
+import mongoose from "mongoose";
+import Tenant from "../../models/Tenant.js";
+import settings from "../../config/settings.js";
+import { aiLogger } from "../logger.js";
+import { recordAiUsage } from "../ai-usage.js";
+import { OpenAIProvider } from "./openai.js";
+import { AnthropicProvider } from "./anthropic.js";
+import { MockProvider } from "./mock.js";
+
+const adapters = {
+    "openai": OpenAIProvider,
+    "openai-compatible": OpenAIProvider,
+    "anthropic": AnthropicProvider,
+    "mock": MockProvider
+};
+
+// Model reference every operation runs on in mock mode
+const MOCK_MODEL = "mock:fixtures";
+
+export const AI_OPERATIONS = Object.keys(settings.ai.models);
+
+// Capability an operation needs from its provider
+const operationCapabilities = { image: "image", embeddings: "embeddings" };
+
+export function capabilityOf(operation) {
+    return operationCapabilities[operation] || "chat";
+}
+
+/**
+ * "<provider>:<model>" -> { provider, model }; null if malformed
+ */
+export function parseModelRef(ref) {
+    const match = /^([a-z0-9_-]+):(.+)$/i.exec(ref || "");
+    return match ? { provider: match[1], model: match[2] } : null;
+}
+
+// Rough token count of a number of characters (~4 characters per token)
+function estimateTokens(characters) {
+    return Math.ceil(characters / 4);
+}
+
+class LLMService {
+    constructor(config = settings.ai) {
+        this.config = config;
+        this.providers = new Map();
+    }
+
+    /**
+     * Add or replace a provider instance (another vendor, or a stand-in in tests)
+     */
+    registerProvider(name, provider) {
+        this.providers.set(name, provider);
+    }
+
+    getProvider(name) {
+        if (!this.providers.has(name)) {
+            const providerConfig = this.config.providers[name];
+            if (!providerConfig) {
+                throw new Error(`Unknown AI provider: ${name}`);
+            }
+            const Adapter = adapters[providerConfig.type];
+            if (!Adapter) {
+                throw new Error(`Unknown AI provider type: ${providerConfig.type}`);
+            }
+            this.providers.set(name, new Adapter(name, { timeoutMs: this.config.timeoutMs, ...providerConfig }));
+        }
+        return this.providers.get(name);
+    }
+
+    /**
+     * Whether a "<provider>:<model>" reference can run an operation
+     */
+    supports(operation, ref) {
+        const parsed = parseModelRef(ref);
+        if (!parsed) return false;
+        try {
+            return this.getProvider(parsed.provider).capabilities.includes(capabilityOf(operation));
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Provider and model an operation runs on for a tenant
+     * @param {Object|string|null} tenant - Tenant or its id; null = platform default
+     * @returns {Promise<{ provider: Object, model: string, ref: string }>}
+     */
+    async resolve(operation, tenant = null) {
+        const platformRef = this.config.models[operation];
+        if (!platformRef) {
+            throw new Error(`Unknown AI operation: ${operation}`);
+        }
+
+        let ref = this.config.mock ? MOCK_MODEL : platformRef;
+        // Offline: tenant overrides would reach real providers
+        if (tenant && !this.config.mock) {
+            const tenantDoc = typeof tenant === "string" || tenant instanceof mongoose.Types.ObjectId
+                ? await Tenant.findById(tenant).select("aiModels").lean()
+                : tenant;
+            const overrides = tenantDoc?.aiModels;
+            const override = overrides instanceof Map ? overrides.get(operation) : overrides?.[operation];
+            if (override && this.supports(operation, override)) {
+                ref = override;
+            } else if (override) {
+                aiLogger.warn("Ignoring unsupported tenant AI model", { tenantId: tenantDoc._id, operation, model: override });
+            }
+        }
+
+        const { provider, model } = parseModelRef(ref);
+        const instance = this.getProvider(provider);
+        if (!instance.capabilities.includes(capabilityOf(operation))) {
+            throw new Error(`AI provider ${provider} cannot run ${operation} (${capabilityOf(operation)})`);
+        }
+        return { provider: instance, model, ref };
+    }
+
+    // Run one provider call, log and record what it cost
+    async call(operation, method, request, { tenant = null, userId = null } = {}) {
+        const { provider, model } = await this.resolve(operation, tenant);
+        const startTime = Date.now();
+        const usage = { tenant, user: userId, operation, provider: provider.name, model };
+
+        let result;
+        try {
+            result = await provider[method]({ ...request, model, operation });
+        } catch (error) {
+            recordAiUsage({ ...usage, latencyMs: Date.now() - startTime, error });
+            throw error;
+        }
+        const latencyMs = Date.now() - startTime;
+
+        aiLogger.info("AI provider call", {
+            operation,
+            provider: provider.name,
+            model: result.model,
+            inputTokens: result.usage?.inputTokens || 0,
+            outputTokens: result.usage?.outputTokens || 0,
+            durationMs: latencyMs
+        });
+        recordAiUsage({ ...usage, usage: result.usage, images: method === "image" ? 1 : 0, latencyMs });
+
+        return { ...result, provider: provider.name };
+    }
+
+    /**
+     * Chat completion
+     * @param {string} operation - key of settings.ai.models
+     * @param {Object} request - { messages, maxTokens, temperature, json, context }
+     * @param {Object} options - { tenant, userId: user the call is recorded for }
+     */
+    async chat(operation, request, options) {
+        return this.call(operation, "chat", request, options);
+    }
+
+    async image(operation, request, options) {
+        return this.call(operation, "image", request, options);
+    }
+
+    async embeddings(operation, request, options) {
+        return this.call(operation, "embeddings", request, options);
+    }
+
+    /**
+     * Streamed chat completion: yields text chunks. Providers report no usage
+     * for streams, so the recorded token counts are estimates.
+     */
+    async *stream(operation, request, { tenant = null, userId = null } = {}) {
+        const { provider, model } = await this.resolve(operation, tenant);
+        const startTime = Date.now();
+        let characters = 0;
+        let failure = null;
+
+        try {
+            for await (const text of provider.stream({ ...request, model, operation })) {
+                characters += text.length;
+                yield text;
+            }
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            // Also runs when the consumer stops reading early
+            recordAiUsage({
+                tenant,
+                user: userId,
+                operation,
+                provider: provider.name,
+                model,
+                usage: {
+                    inputTokens: estimateTokens(JSON.stringify(request.messages || []).length),
+                    outputTokens: estimateTokens(characters)
+                },
+                estimated: true,
+                latencyMs: Date.now() - startTime,
+                error: failure
+            });
+        }
+
+        aiLogger.info("AI provider stream", {
+            operation,
+            provider: provider.name,
+            model,
+            charactersGenerated: characters,
+            durationMs: Date.now() - startTime
+        });
+    }
+
+    /**
+     * Check the providers of the platform's default models (only the mock one in mock mode)
+     * @returns {Promise<Object>} { [provider]: boolean }
+     */
+    async validate() {
+        const refs = this.config.mock ? [MOCK_MODEL] : Object.values(this.config.models);
+        const names = [...new Set(refs.map(ref => parseModelRef(ref)?.provider))];
+        const results = {};
+
+        for (const name of names) {
+            try {
+                const provider = this.getProvider(name);
+                results[name] = provider.configured && await provider.validate();
+            } catch (error) {
+                aiLogger.error("AI provider validation failed", { provider: name, error: error.message });
+                results[name] = false;
+            }
+        }
+        return results;
+    }
+}
+
+export const llmService = new LLMService();
@@ -0,0 +1,140 @@
+// Fixture content of the mock AI provider, per language.
+// Placeholders {industry}, {location} and {type} are filled from the request context.
+export default {
+    en: {
+        description: [
+            "Looking for a {type} in {location}? Our {industry} team knows the area street by street.",
+            "Every {type} we offer in {location} is checked in person before it is listed.",
+            "Local experience means honest advice on prices, seasons and neighbourhoods in {location}.",
+            "Clients choose us for clear terms, quick answers and support from first visit to final handover.",
+            "From first-time visitors to returning clients, we match each {type} to the way you want to live or travel.",
+            "Ask about current availability in {location} and get a tailored shortlist within one working day."
+        ],
+        cta: "Contact us today and find your {type} in {location}.",
+        faq: [
+            ["What does a {type} in {location} usually include?", "Most {type} offers in {location} include the essentials up front. We list every inclusion and extra cost before you decide, so there are no surprises later."],
+            ["When is the best time to look for a {type} in {location}?", "Demand in {location} peaks in spring and early summer. Starting a few weeks earlier gives you more choice and better terms."],
+            ["How do I book a {type} in {location}?", "Send us your dates and preferences. We reply with a shortlist, answer your questions and confirm everything in writing."],
+            ["Can I visit before I commit?", "Yes. We arrange viewings or calls for every {type} in {location}, at a time that suits you."],
+            ["Which areas of {location} are most popular?", "The central districts are the most requested, while quieter areas nearby often offer more space for the same budget."],
+            ["Do you help international clients?", "We work with clients from many countries and explain every step of the process in plain language."],
+            ["Are there extra fees?", "Any fees are shown before you confirm. We never add charges after the agreement."],
+            ["How quickly will I hear back?", "We answer enquiries about {location} within one working day."]
+        ],
+        keywords: ["{type} {location}", "best {type} in {location}", "{industry} {location}", "{location} {type} prices", "{type} near {location}", "{industry} experts near {location}", "{location} guide", "affordable {type}", "{type} booking", "{location} offers"],
+        analytics: "Pages with the highest bounce rates should get clearer headlines and a call to action above the fold. Add FAQ sections to pages with long visits but few conversions, and refresh pages whose traffic has dropped over the last month.",
+        reply: "This reply was generated offline by the mock AI provider.",
+        translation: "Translated",
+        title: "{type} in {location} | Local {industry} experts",
+        h1: "Find your {type} in {location}",
+        features: [
+            ["Local knowledge", "Our team lives and works in {location} and knows every district."],
+            ["Checked offers", "Every {type} is visited in person before we recommend it."],
+            ["Clear terms", "All costs and conditions are explained before you decide."],
+            ["Fast answers", "You hear back from us within one working day."],
+            ["Personal support", "One contact person guides you from the first call to the final handover."]
+        ],
+        meta: "Compare {type} offers in {location} with local experts. Honest advice, clear prices and quick answers. Ask for your shortlist today.",
+        caption: "New in {location}: {type} offers picked by our local team. Clear prices, honest advice. #{location} #{industry}"
+    },
+    es: {
+        description: [
+            "¿Busca un {type} en {location}? Nuestro equipo de {industry} conoce la zona calle por calle.",
+            "Cada {type} que ofrecemos en {location} se revisa en persona antes de publicarse.",
+            "La experiencia local significa consejos honestos sobre precios, temporadas y barrios de {location}.",
+            "Nuestros clientes valoran las condiciones claras, las respuestas rápidas y el acompañamiento en cada paso.",
+            "Adaptamos cada {type} a su forma de vivir o de viajar, tanto si es su primera vez como si vuelve.",
+            "Consulte la disponibilidad actual en {location} y reciba una selección a medida en un día laborable."
+        ],
+        cta: "Contáctenos hoy y encuentre su {type} en {location}.",
+        faq: [
+            ["¿Qué incluye normalmente un {type} en {location}?", "La mayoría de las ofertas de {type} en {location} incluyen lo esencial. Detallamos cada servicio y coste adicional antes de que decida."],
+            ["¿Cuál es el mejor momento para buscar un {type} en {location}?", "La demanda en {location} es mayor en primavera y a principios de verano. Empezar unas semanas antes le da más opciones."],
+            ["¿Cómo reservo un {type} en {location}?", "Envíenos sus fechas y preferencias. Le respondemos con una selección y confirmamos todo por escrito."],
+            ["¿Puedo visitarlo antes de decidir?", "Sí. Organizamos visitas o llamadas para cada {type} en {location}, cuando mejor le convenga."],
+            ["¿Qué zonas de {location} son las más solicitadas?", "Los barrios céntricos son los más buscados, y las zonas cercanas más tranquilas suelen ofrecer más espacio por el mismo presupuesto."],
+            ["¿Atienden a clientes internacionales?", "Trabajamos con clientes de muchos países y explicamos cada paso con claridad."],
+            ["¿Hay gastos adicionales?", "Todos los gastos se muestran antes de confirmar. Nunca añadimos cargos después del acuerdo."],
+            ["¿Cuándo recibiré respuesta?", "Respondemos a las consultas sobre {location} en un día laborable."]
+        ],
+        keywords: ["{type} {location}", "mejor {type} en {location}", "{industry} {location}", "precios {type} {location}", "{type} cerca de {location}", "expertos locales", "guía de {location}", "{type} económico", "reservar {type}", "ofertas {location}"],
+        analytics: "Las páginas con mayor tasa de rebote necesitan titulares más claros y una llamada a la acción visible. Añada preguntas frecuentes a las páginas con visitas largas y pocas conversiones.",
+        reply: "Esta respuesta fue generada sin conexión por el proveedor de IA simulado.",
+        translation: "Traducido",
+        title: "{type} en {location} | Expertos locales en {industry}",
+        h1: "Encuentre su {type} en {location}",
+        features: [
+            ["Conocimiento local", "Nuestro equipo vive y trabaja en {location} y conoce cada barrio."],
+            ["Ofertas revisadas", "Visitamos en persona cada {type} antes de recomendarlo."],
+            ["Condiciones claras", "Explicamos todos los costes y condiciones antes de que decida."],
+            ["Respuestas rápidas", "Le respondemos en un día laborable."],
+            ["Atención personal", "Una sola persona de contacto le acompaña desde la primera llamada hasta la entrega."]
+        ],
+        meta: "Compare ofertas de {type} en {location} con expertos locales. Consejos honestos y precios claros. Pida hoy su selección.",
+        caption: "Novedades en {location}: ofertas de {type} elegidas por nuestro equipo local. Precios claros y consejos honestos. #{location}"
+    },
+    fr: {
+        description: [
+            "Vous cherchez un {type} à {location} ? Notre équipe {industry} connaît le quartier rue par rue.",
+            "Chaque {type} proposé à {location} est vérifié sur place avant d'être publié.",
+            "Notre expérience locale, ce sont des conseils honnêtes sur les prix, les saisons et les quartiers de {location}.",
+            "Nos clients apprécient des conditions claires, des réponses rapides et un accompagnement à chaque étape.",
+            "Demandez les disponibilités actuelles à {location} et recevez une sélection sur mesure sous un jour ouvré."
+        ],
+        cta: "Contactez-nous dès aujourd'hui pour trouver votre {type} à {location}.",
+        faq: [
+            ["Que comprend généralement un {type} à {location} ?", "La plupart des offres de {type} à {location} incluent l'essentiel. Nous précisons chaque prestation et chaque frais avant votre décision."],
+            ["Quelle est la meilleure période pour chercher un {type} à {location} ?", "La demande à {location} est la plus forte au printemps. Commencer quelques semaines plus tôt offre plus de choix."],
+            ["Comment réserver un {type} à {location} ?", "Envoyez-nous vos dates et vos préférences ; nous répondons avec une sélection et confirmons tout par écrit."],
+            ["Puis-je visiter avant de m'engager ?", "Oui, nous organisons une visite ou un appel pour chaque {type} à {location}."],
+            ["Y a-t-il des frais supplémentaires ?", "Tous les frais sont indiqués avant la confirmation, jamais après."]
+        ],
+        keywords: ["{type} {location}", "meilleur {type} à {location}", "{industry} {location}", "prix {type} {location}", "guide {location}"],
+        analytics: "Les pages au taux de rebond élevé ont besoin de titres plus clairs et d'un appel à l'action visible.",
+        reply: "Cette réponse a été générée hors ligne par le fournisseur d'IA simulé.",
+        translation: "Traduit",
+        title: "{type} à {location} | Experts locaux en {industry}",
+        h1: "Trouvez votre {type} à {location}",
+        features: [
+            ["Connaissance locale", "Notre équipe vit et travaille à {location} et connaît chaque quartier."],
+            ["Offres vérifiées", "Chaque {type} est visité en personne avant d'être recommandé."],
+            ["Conditions claires", "Tous les coûts et conditions sont expliqués avant votre décision."],
+            ["Réponses rapides", "Vous recevez une réponse en un jour ouvré."],
+            ["Suivi personnel", "Un interlocuteur unique vous accompagne du premier appel jusqu'à la remise des clés."]
+        ],
+        meta: "Comparez les offres de {type} à {location} avec des experts locaux. Conseils honnêtes et prix clairs. Demandez votre sélection.",
+        caption: "Nouveau à {location} : des offres de {type} choisies par notre équipe locale. Prix clairs, conseils honnêtes. #{location}"
+    },
+    de: {
+        description: [
+            "Sie suchen ein {type} in {location}? Unser {industry}-Team kennt die Gegend Straße für Straße.",
+            "Jedes {type} in {location} prüfen wir persönlich, bevor wir es anbieten.",
+            "Lokale Erfahrung heißt ehrliche Beratung zu Preisen, Saisonzeiten und Vierteln in {location}.",
+            "Kunden schätzen klare Bedingungen, schnelle Antworten und Begleitung bei jedem Schritt.",
+            "Fragen Sie die aktuelle Verfügbarkeit in {location} an und erhalten Sie innerhalb eines Werktags eine passende Auswahl."
+        ],
+        cta: "Kontaktieren Sie uns noch heute und finden Sie Ihr {type} in {location}.",
+        faq: [
+            ["Was ist bei einem {type} in {location} üblicherweise enthalten?", "Die meisten Angebote in {location} enthalten das Wesentliche. Alle Leistungen und Zusatzkosten nennen wir vor Ihrer Entscheidung."],
+            ["Wann sucht man am besten ein {type} in {location}?", "Die Nachfrage in {location} ist im Frühjahr am höchsten. Wer früher beginnt, hat mehr Auswahl."],
+            ["Wie buche ich ein {type} in {location}?", "Senden Sie uns Ihre Wünsche; wir antworten mit einer Auswahl und bestätigen alles schriftlich."],
+            ["Kann ich vorher besichtigen?", "Ja, für jedes {type} in {location} vereinbaren wir eine Besichtigung oder ein Gespräch."],
+            ["Gibt es zusätzliche Gebühren?", "Alle Gebühren nennen wir vor der Bestätigung, nie danach."]
+        ],
+        keywords: ["{type} {location}", "bestes {type} in {location}", "{industry} {location}", "{type} {location} Preise", "{location} Ratgeber"],
+        analytics: "Seiten mit hoher Absprungrate brauchen klarere Überschriften und einen sichtbaren Handlungsaufruf.",
+        reply: "Diese Antwort wurde offline vom simulierten KI-Anbieter erzeugt.",
+        translation: "Übersetzt",
+        title: "{type} in {location} | Lokale {industry}-Experten",
+        h1: "Finden Sie Ihr {type} in {location}",
+        features: [
+            ["Lokales Wissen", "Unser Team lebt und arbeitet in {location} und kennt jedes Viertel."],
+            ["Geprüfte Angebote", "Jedes {type} wird persönlich besichtigt, bevor wir es empfehlen."],
+            ["Klare Konditionen", "Alle Kosten und Bedingungen werden vor Ihrer Entscheidung erklärt."],
+            ["Schnelle Antworten", "Sie erhalten innerhalb eines Werktags eine Antwort."],
+            ["Persönliche Betreuung", "Ein fester Ansprechpartner begleitet Sie vom ersten Gespräch bis zur Übergabe."]
+        ],
+        meta: "Vergleichen Sie {type}-Angebote in {location} mit lokalen Experten. Ehrliche Beratung, klare Preise. Jetzt Auswahl anfordern.",
+        caption: "Neu in {location}: {type}-Angebote, ausgewählt von unserem Team vor Ort. Klare Preise, ehrliche Beratung. #{location}"
+    }
+};
@@ -0,0 +1,194 @@
+// Offline stand-in for a real provider (settings.ai.mock / AI_MOCK=true).
+// Replies are built from fixtures in the requested language and depend only on
+// the seed and the request, so the same request always gets the same reply.
+// Latency and provider errors (429/503) can be simulated for tests and demos.
+
+import crypto from "crypto";
+import fixtures from "./mock-fixtures.js";
+
+const CAPABILITIES = ["chat", "stream", "image", "embeddings"];
+const EMBEDDING_DIMENSIONS = 64;
+
+// Fills placeholders when a request has no page context (keywords, analytics...)
+const defaultContext = { industry: "local business", location: "your area", type: "service" };
+
+function hashOf(...parts) {
+    return crypto.createHash("sha256").update(parts.map(part => String(part ?? "")).join("|")).digest();
+}
+
+// Small seeded PRNG (mulberry32): numbers in [0, 1)
+function randomFrom(buffer) {
+    let state = buffer.readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function fill(template, context) {
+    return template.replace(/\{(industry|location|type)\}/g, (_, key) => context[key] || defaultContext[key]);
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / 4);
+}
+
+// Cut at a word boundary to at most max characters
+function truncate(text, max) {
+    return text.length <= max ? text : text.slice(0, max + 1).replace(/\s+\S*$/, "");
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class MockProvider {
+    constructor(name, { seed = "ai-landing", latencyMs = 0, errorRate = 0, errorStatus = 503 } = {}) {
+        this.name = name;
+        this.capabilities = CAPABILITIES;
+        this.configured = true;
+        this.seed = seed;
+        this.latencyMs = Number(latencyMs) || 0;
+        this.errorRate = Number(errorRate) || 0;
+        this.errorStatus = Number(errorStatus) || 503;
+        this.calls = 0;
+    }
+
+    random(...parts) {
+        return randomFrom(hashOf(this.seed, ...parts));
+    }
+
+    // Latency and injected errors; the n-th call fails or not for a given seed
+    async simulate() {
+        this.calls += 1;
+        if (this.errorRate > 0 && this.random("error", this.calls)() < this.errorRate) {
+            const error = new Error(this.errorStatus === 429
+                ? "Mock provider rate limit exceeded"
+                : "Mock provider temporarily unavailable");
+            error.status = this.errorStatus;
+            throw error;
+        }
+        if (this.latencyMs) await sleep(this.latencyMs);
+    }
+
+    /**
+     * Fixture reply for an operation
+     * @param {Object} request - { operation, messages, json, context: { lang, industry, location, type, min, max } }
+     */
+    compose({ operation, model, messages = [], json = false, context = {} }) {
+        const text = fixtures[context.lang] || fixtures.en;
+        const random = this.random(operation, model, JSON.stringify(messages));
+        const lastMessage = messages.filter(m => m.role === "user").pop()?.content || "";
+
+        switch (operation) {
+            case "description": {
+                const sentences = shuffle(text.description, random).slice(0, 4);
+                return [...sentences, text.cta].map(sentence => fill(sentence, context)).join(" ");
+            }
+            case "faq": {
+                const min = context.min || 4;
+                const max = Math.min(context.max || 8, text.faq.length);
+                const count = min >= max ? max : min + Math.floor(random() * (max - min + 1));
+                const faq = shuffle(text.faq, random).slice(0, count).map(([question, answer]) => ({
+                    question: fill(question, context),
+                    answer: fill(answer, context)
+                }));
+                return JSON.stringify({ faq });
+            }
+            case "translation":
+                return `[${text.translation}] ${lastMessage}`;
+            case "keywords":
+                return shuffle(text.keywords, random).map(keyword => fill(keyword, context)).join(", ");
+            case "analytics":
+                return text.analytics;
+            case "meta":
+                return fill(text.meta, context);
+            case "social":
+                return fill(text.caption, context);
+            case "structured": {
+                const faq = shuffle(text.faq, random).slice(0, 5);
+                return JSON.stringify({
+                    title: truncate(fill(text.title, context), 60),
+                    metaDescription: truncate(`${fill(text.meta, context)} ${fill(text.cta, context)}`, 160),
+                    h1: fill(text.h1, context),
+                    intro: shuffle(text.description, random).map(sentence => fill(sentence, context)).join(" "),
+                    features: shuffle(text.features, random).slice(0, 4).map(([title, body]) => ({ title, text: fill(body, context) })),
+                    cta: fill(text.cta, context),
+                    faq: faq.map(([question, answer]) => ({ question: fill(question, context), answer: fill(answer, context) }))
+                });
+            }
+            default:
+                return json ? JSON.stringify({ reply: text.reply }) : text.reply;
+        }
+    }
+
+    async chat(request) {
+        await this.simulate();
+        const content = this.compose(request);
+
+        return {
+            content,
+            model: request.model,
+            usage: {
+                inputTokens: estimateTokens(JSON.stringify(request.messages || [])),
+                outputTokens: estimateTokens(content)
+            }
+        };
+    }
+
+    // Word-sized chunks, with the latency spread over the stream
+    async *stream(request) {
+        await this.simulate();
+        const chunks = this.compose(request).match(/\S+\s*/g) || [];
+        const delay = this.latencyMs / Math.max(chunks.length, 1);
+
+        for (const chunk of chunks) {
+            if (delay) await sleep(delay);
+            yield chunk;
+        }
+    }
+
+    // Coloured placeholder as an SVG data URI
+    async image({ model, prompt = "" }) {
+        await this.simulate();
+        const random = this.random("image", model, prompt);
+        const hue = Math.floor(random() * 360);
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024">`
+            + `<rect width="1024" height="1024" fill="hsl(${hue}, 45%, 55%)"/>`
+            + `<circle cx="${256 + Math.floor(random() * 512)}" cy="${256 + Math.floor(random() * 512)}" r="${120 + Math.floor(random() * 160)}" fill="hsl(${(hue + 180) % 360}, 45%, 70%)"/>`
+            + `</svg>`;
+
+        return { url: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`, model };
+    }
+
+    // Unit vectors derived from each input text
+    async embeddings({ model, input }) {
+        await this.simulate();
+        const inputs = Array.isArray(input) ? input : [input];
+        const vectors = inputs.map(text => {
+            const random = this.random("embeddings", model, text);
+            const vector = Array.from({ length: EMBEDDING_DIMENSIONS }, () => random() * 2 - 1);
+            const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+            return vector.map(value => value / length);
+        });
+
+        return {
+            vectors,
+            model,
+            usage: { inputTokens: estimateTokens(inputs.join(" ")), outputTokens: 0 }
+        };
+    }
+
+    async validate() {
+        return true;
+    }
+}
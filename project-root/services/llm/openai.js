@@ -0,0 +1,78 @@
+// OpenAI adapter. With a baseUrl it also talks to OpenAI-compatible servers
+// (Ollama, llama.cpp, vLLM...), which implement the same /v1 endpoints.
+
+import OpenAI from "openai";
+
+const CAPABILITIES = ["chat", "stream", "image", "embeddings"];
+
+function usageOf(usage) {
+    return {
+        inputTokens: usage?.prompt_tokens || 0,
+        outputTokens: usage?.completion_tokens || 0
+    };
+}
+
+export class OpenAIProvider {
+    constructor(name, { type, apiKey, baseUrl, timeoutMs = 30000 }) {
+        this.name = name;
+        this.capabilities = CAPABILITIES;
+        // Local servers usually need no key, but the client insists on one
+        this.configured = type === "openai-compatible" ? Boolean(baseUrl) : Boolean(apiKey);
+        this.client = new OpenAI({
+            apiKey: apiKey || "not-needed",
+            baseURL: baseUrl || undefined,
+            timeout: timeoutMs,
+            maxRetries: 3
+        });
+    }
+
+    async chat({ model, messages, maxTokens, temperature, json = false }) {
+        const response = await this.client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(json && { response_format: { type: "json_object" } })
+        });
+
+        return {
+            content: response.choices[0]?.message?.content?.trim() || "",
+            model: response.model || model,
+            usage: usageOf(response.usage)
+        };
+    }
+
+    async *stream({ model, messages, maxTokens, temperature }) {
+        const stream = await this.client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            stream: true
+        });
+
+        for await (const chunk of stream) {
+            const text = chunk.choices[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+
+    async image({ model, prompt, size = "1024x1024" }) {
+        const response = await this.client.images.generate({ model, prompt, n: 1, size });
+        return { url: response.data?.[0]?.url || null, model };
+    }
+
+    async embeddings({ model, input }) {
+        const response = await this.client.embeddings.create({ model, input });
+        return {
+            vectors: response.data.map(item => item.embedding),
+            model: response.model || model,
+            usage: usageOf(response.usage)
+        };
+    }
+
+    async validate() {
+        const models = await this.client.models.list();
+        return models.data.length > 0;
+    }
+}
@@ -0,0 +1,260 @@
+// Tenant media library. Uploads are converted to responsive WebP renditions
+// (plus a favicon set for logos) and written to the storage backend; originals
+// are not kept, so uploaded SVGs never reach visitors as SVG.
+// Stored URLs contain "media/<tenant>/<asset>/", which is how usage is tracked:
+// savePage() records the asset ids a page references in LandingPage.media.
+
+import mongoose from "mongoose";
+import MediaAsset from "../models/MediaAsset.js";
+import LandingPage from "../models/LandingPage.js";
+import Tenant from "../models/Tenant.js";
+import { createStorage } from "./storage.js";
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+const MEDIA_URL = /media\/[0-9a-f]{24}\/([0-9a-f]{24})\//g;
+
+// Favicon sizes bundled into favicon.ico
+const ICO_SIZES = [16, 32, 48];
+
+/**
+ * Ids of the media assets referenced anywhere in the given values (strings or objects)
+ */
+export function extractMediaIds(...values) {
+    const text = values.map(value => (typeof value === "string" ? value : JSON.stringify(value ?? null))).join(" ");
+    return [...new Set([...text.matchAll(MEDIA_URL)].map(match => match[1]))];
+}
+
+/**
+ * ICO file wrapping PNG images (supported by every current browser)
+ * @param {Array<{ size: number, body: Buffer }>} images
+ */
+export function buildIco(images) {
+    const header = Buffer.alloc(6 + images.length * 16);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2); // icon
+    header.writeUInt16LE(images.length, 4);
+
+    let offset = header.length;
+    images.forEach(({ size, body }, i) => {
+        const entry = 6 + i * 16;
+        header.writeUInt8(size >= 256 ? 0 : size, entry);
+        header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+        header.writeUInt16LE(1, entry + 4); // colour planes
+        header.writeUInt16LE(32, entry + 6); // bits per pixel
+        header.writeUInt32LE(body.length, entry + 8);
+        header.writeUInt32LE(offset, entry + 12);
+        offset += body.length;
+    });
+
+    return Buffer.concat([header, ...images.map(image => image.body)]);
+}
+
+class MediaService {
+    constructor(storage = null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Swap the storage backend (services/storage.js), e.g. for a local S3 stand-in in tests
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    // Created on first use, so a misconfigured bucket does not stop the server
+    getStorage() {
+        this.storage ??= createStorage();
+        return this.storage;
+    }
+
+    /**
+     * Renditions of an uploaded image
+     * @returns {Promise<{ width, height, variants: Array, favicons: Array }>} files as { name, body, contentType, width, height }
+     */
+    async renderImage(buffer, { favicons = false } = {}) {
+        // Native module; loaded on first upload so the server starts without it
+        const { default: sharp } = await import("sharp");
+
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch {
+            const error = new Error("The file is not a supported image");
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const variants = [];
+        for (const width of new Set(settings.media.widths.map(w => Math.min(w, metadata.width)))) {
+            const { data, info } = await sharp(buffer)
+                .rotate()
+                .resize({ width, withoutEnlargement: true })
+                .webp({ quality: 82 })
+                .toBuffer({ resolveWithObject: true });
+            variants.push({ name: `w${info.width}.webp`, body: data, contentType: "image/webp", width: info.width, height: info.height });
+        }
+
+        const icons = [];
+        if (favicons) {
+            for (const size of settings.media.faviconSizes) {
+                const body = await sharp(buffer)
+                    .rotate()
+                    .resize(size, size, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+                    .png()
+                    .toBuffer();
+                icons.push({
+                    rel: size === 180 ? "apple-touch-icon" : "icon",
+                    sizes: `${size}x${size}`,
+                    name: `favicon-${size}.png`,
+                    body,
+                    contentType: "image/png",
+                    width: size,
+                    height: size
+                });
+            }
+
+            const icoImages = icons.filter(icon => ICO_SIZES.includes(icon.width)).map(icon => ({ size: icon.width, body: icon.body }));
+            if (icoImages.length) {
+                icons.unshift({ rel: "icon", sizes: "any", name: "favicon.ico", body: buildIco(icoImages), contentType: "image/x-icon" });
+            }
+        }
+
+        return { width: metadata.width, height: metadata.height, variants, favicons: icons };
+    }
+
+    /**
+     * Convert and store an upload (multer memory file) as a tenant's media asset
+     * @param {Object} options - { kind: 'image' | 'logo', alt, uploadedBy }
+     */
+    async createAsset(tenantId, file, { kind = "image", alt = "", uploadedBy = null } = {}) {
+        const rendered = await this.renderImage(file.buffer, { favicons: kind === "logo" });
+        const storage = this.getStorage();
+        const _id = new mongoose.Types.ObjectId();
+        const stored = [];
+
+        const store = async ({ name, body, contentType, width, height }) => {
+            const key = `media/${tenantId}/${_id}/${name}`;
+            await storage.put(key, body, { contentType });
+            stored.push(key);
+            return { key, url: storage.url(key), contentType, width, height, size: body.length };
+        };
+
+        try {
+            const variants = [];
+            for (const variant of rendered.variants) {
+                variants.push(await store(variant));
+            }
+            const favicons = [];
+            for (const icon of rendered.favicons) {
+                favicons.push({ rel: icon.rel, sizes: icon.sizes, file: await store(icon) });
+            }
+
+            const asset = await MediaAsset.create({
+                _id,
+                tenant: tenantId,
+                kind,
+                originalName: file.originalname,
+                alt,
+                storage: storage.name,
+                width: rendered.width,
+                height: rendered.height,
+                url: variants[variants.length - 1].url,
+                variants,
+                favicons,
+                uploadedBy
+            });
+
+            logger.info("Media uploaded", { tenantId, assetId: _id, kind, storage: storage.name, files: stored.length });
+            return asset;
+
+        } catch (error) {
+            // Leave no orphaned files behind
+            await Promise.allSettled(stored.map(key => storage.delete(key)));
+            throw error;
+        }
+    }
+
+    async listAssets(tenantId) {
+        return MediaAsset.find({ tenant: tenantId }).sort({ createdAt: -1 }).lean();
+    }
+
+    async getAsset(tenantId, assetId) {
+        return MediaAsset.findOne({ _id: assetId, tenant: tenantId }).lean();
+    }
+
+    /**
+     * Where each asset is used: the tenant's logo, favicon, custom CSS and pages
+     * @param {Object} tenant - Tenant (lean)
+     * @returns {Promise<Map<string, Array<{ kind, label, pageId? }>>>} by asset id
+     */
+    async getUsage(tenant, assets) {
+        const usage = new Map(assets.map(asset => [asset._id.toString(), []]));
+        const add = (id, entry) => usage.get(id.toString())?.push(entry);
+
+        extractMediaIds(tenant.logoUrl).forEach(id => add(id, { kind: "logo", label: "Site logo" }));
+        if (tenant.favicon?.asset) add(tenant.favicon.asset, { kind: "favicon", label: "Favicon" });
+        extractMediaIds(tenant.theme?.customCss).forEach(id => add(id, { kind: "theme", label: "Theme custom CSS" }));
+
+        const pages = await LandingPage.find({ tenant: tenant._id, media: { $in: [...usage.keys()] } })
+            .select("industry lang location type media")
+            .lean();
+        for (const page of pages) {
+            for (const id of page.media) {
+                add(id, { kind: "page", label: `${page.type} in ${page.location} (${page.lang})`, pageId: page._id });
+            }
+        }
+
+        return usage;
+    }
+
+    /**
+     * Delete an asset and its files; assets still in use are kept
+     * @returns {Promise<Object|null>} the deleted asset, null if not found
+     */
+    async deleteAsset(tenant, assetId) {
+        const asset = await this.getAsset(tenant._id, assetId);
+        if (!asset) return null;
+
+        const usage = (await this.getUsage(tenant, [asset])).get(asset._id.toString());
+        if (usage.length) {
+            const error = new Error(`Media is in use: ${usage.map(u => u.label).join(", ")}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const storage = this.getStorage();
+        const keys = [...asset.variants, ...asset.favicons.map(icon => icon.file)].map(file => file.key);
+        if (asset.storage === storage.name) {
+            await Promise.all(keys.map(key => storage.delete(key)));
+        } else {
+            logger.warn("Media files left on previous storage backend", { assetId, storage: asset.storage, keys });
+        }
+
+        await MediaAsset.deleteOne({ _id: asset._id });
+        logger.info("Media deleted", { tenantId: tenant._id, assetId });
+        return asset;
+    }
+
+    /**
+     * Rendition to use as the site logo (displayed small, so no need for the largest one)
+     */
+    getLogoUrl(asset) {
+        return (asset.variants.find(variant => variant.width >= 320) || asset.variants[asset.variants.length - 1]).url;
+    }
+
+    /**
+     * Use a logo's favicon set on the tenant's pages
+     */
+    async setFavicon(tenantId, asset) {
+        const links = asset.favicons.map(icon => ({
+            rel: icon.rel,
+            sizes: icon.sizes,
+            type: icon.file.contentType,
+            href: icon.file.url
+        }));
+        await Tenant.findByIdAndUpdate(tenantId, { favicon: { asset: asset._id, links } });
+    }
+}
+
+export const mediaService = new MediaService();
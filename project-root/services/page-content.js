@@ -0,0 +1,118 @@
+// Structured page content: title, meta description, H1, intro, features, call to
+// action and FAQ generated as one JSON document (schema in config/page-content.js),
+// validated here and stored as page fields and AI sections.
+
+import schema from "../config/page-content.js";
+import { withAiSection } from "./sections.js";
+
+function limitsText({ min, max }, unit) {
+    return `${min}-${max} ${unit}`;
+}
+
+// Trimmed text, or an error when it is missing or outside its limits
+function parseText(value, limits, path, errors) {
+    const text = typeof value === "string" ? value.trim() : "";
+    if (!text) {
+        errors.push(`${path}: missing`);
+    } else if (text.length < limits.min || text.length > limits.max) {
+        errors.push(`${path}: ${text.length} characters, expected ${limitsText(limits, "characters")}`);
+    }
+    return text;
+}
+
+function parseList(value, field, path, errors) {
+    if (!Array.isArray(value)) {
+        errors.push(`${path}: expected a list of ${limitsText(field, "items")}`);
+        return [];
+    }
+    if (value.length < field.min || value.length > field.max) {
+        errors.push(`${path}: ${value.length} items, expected ${limitsText(field, "items")}`);
+    }
+    return value.map((item, i) => Object.fromEntries(Object.entries(field.fields).map(([name, limits]) =>
+        [name, parseText(item?.[name], limits, `${path}[${i}].${name}`, errors)])));
+}
+
+/**
+ * Check generated content against the schema
+ * @param {Object} raw - parsed JSON reply
+ * @returns {{ data: Object, errors: string[] }} data with trimmed values; errors name the field
+ */
+export function parsePageContent(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { data: null, errors: ["reply: expected a JSON object"] };
+    }
+
+    const data = {};
+    for (const [name, field] of Object.entries(schema)) {
+        data[name] = field.kind === "list"
+            ? parseList(raw[name], field, name, errors)
+            : parseText(raw[name], field, name, errors);
+    }
+    return { data, errors };
+}
+
+/**
+ * Reply format for prompts, with the limits of every field
+ */
+export function describePageContent() {
+    const example = Object.fromEntries(Object.entries(schema).map(([name, field]) => [
+        name,
+        field.kind === "list" ? [Object.fromEntries(Object.keys(field.fields).map(key => [key, "..."]))] : "..."
+    ]));
+    const rules = Object.entries(schema).map(([name, field]) => {
+        if (field.kind !== "list") {
+            return `- ${name}: ${field.description} (${limitsText(field, "characters")})`;
+        }
+        const items = Object.entries(field.fields).map(([key, limits]) => `${key} ${limitsText(limits, "characters")}`);
+        return `- ${name}: ${field.description} (${limitsText(field, "items")}; ${items.join(", ")})`;
+    });
+
+    return `Reply as JSON: ${JSON.stringify(example)}\n\nFIELDS (lengths in characters, strictly enforced):\n${rules.join("\n")}`;
+}
+
+/**
+ * Every text of the content, e.g. for brand voice checks
+ */
+export function pageContentText(content) {
+    return [
+        content.title,
+        content.metaDescription,
+        content.h1,
+        content.intro,
+        ...content.features.flatMap(item => [item.title, item.text]),
+        content.cta,
+        ...content.faq.flatMap(item => [item.question, item.answer])
+    ].join("\n");
+}
+
+/**
+ * Page fields of validated content. Features, call to action and FAQ replace the
+ * page's AI sections of those types (hand-made sections are kept) and, like the
+ * text, only show on the language version they are written in.
+ * @param {Object} content - data of parsePageContent
+ * @param {Array} sections - current sections of the page
+ * @param {string} lang - language the content is written in
+ * @param {Array} defaults - the page template's sections, used when the page has none
+ * @returns {Object} { title, h1, metaDescription, seoText, sections }
+ */
+export function applyPageContent(content, sections, lang, defaults) {
+    // New sections go after the hero: FAQ first so features end up above it
+    let next = withAiSection(sections, "faq", { items: content.faq, lang }, defaults);
+    next = withAiSection(next, "features", {
+        items: content.features.map(item => ({ ...item, lang }))
+    }, defaults);
+    next = withAiSection(next, "cta", { text: content.cta, lang }, defaults, {
+        keep: ["heading", "buttonLabel", "url"],
+        isEmpty: section => !section.data?.text,
+        append: true
+    });
+
+    return {
+        title: content.title,
+        h1: content.h1,
+        metaDescription: content.metaDescription,
+        seoText: content.intro,
+        sections: next
+    };
+}
@@ -0,0 +1,242 @@
+// On-demand generation of public landing pages, kept out of the request path:
+// - concurrent requests for the same page share one generation (coalescing)
+// - stale on-demand pages keep being served while a background refresh runs
+// - failed generations are not retried until a short backoff has passed
+
+import { generateDescriptionDetailed, generateMetaDescription, generatePageContent } from "./ai.js";
+import { generateImage } from "./images.js";
+import { translateText } from "./translate.js";
+import { savePage, getPageById } from "./pages.js";
+import { generateFaqSections, loadPageSections } from "./faq.js";
+import { applyPageContent } from "./page-content.js";
+import { buildPageKey } from "../utils/pageKey.js";
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+// page key -> promise of the running generation (per process)
+const inflight = new Map();
+// page key -> time of the last failed generation
+const failures = new Map();
+
+/**
+ * Generate content for a page and persist it
+ * @param {Object} identity - { tenant, industry, lang, location, type }
+ * @param {string[]} translateTo - language codes to translate into
+ * @param {Object} extra - additional page fields, e.g. the status of a first generation
+ * @param {Object} options - { refreshOf: id of the page a background refresh replaces }
+ */
+async function generatePage(identity, translateTo, extra = {}, { refreshOf = null } = {}) {
+    const { industry, lang, location, type } = identity;
+    const cacheKey = buildPageKey(identity);
+    const startTime = Date.now();
+
+    logger.info('Starting content generation', { cacheKey, industry, lang, location, type });
+
+    try {
+        // Step 1: Page copy, as structured content when enabled (free text if that fails)
+        const content = (settings.pageGeneration.structuredContent && await generateStructuredContent(identity))
+            || await generateTextContent(identity);
+        const { seoText } = content;
+
+        // Step 2: Generate image (if enabled)
+        const imageUrl = settings.modules.aiImages
+            ? await generateImage(`${industry} ${type} in ${location}, ${lang}`, { tenant: identity.tenant })
+            : null;
+
+        // Step 3: Translations for the other tenant languages
+        const translations = {};
+        for (const tLang of translateTo) {
+            translations[tLang] = await translateText(seoText, tLang, { tenant: identity.tenant });
+        }
+
+        // A refresh must not overwrite copy edited or unpublished while it ran
+        if (refreshOf) {
+            const current = await getPageById(refreshOf);
+            if (!current || !isRefreshable(current)) {
+                logger.info('Background refresh discarded, page changed meanwhile', { cacheKey, status: current?.status });
+                return current;
+            }
+        }
+
+        // Step 4: Persist (and cache) the page
+        const page = await savePage(identity, {
+            ...content,
+            imageUrl,
+            translations,
+            generatedOnDemand: true,
+            ...extra
+        }, { source: 'ai' });
+
+        logger.info('Content generation completed', {
+            cacheKey,
+            duration: Date.now() - startTime,
+            seoTextLength: seoText.length,
+            hasImage: !!imageUrl,
+            translationsCount: Object.keys(translations).length,
+            structured: !!content.prompts.structured,
+            hasFaq: !!content.sections,
+            languages: translateTo
+        });
+
+        return page;
+
+    } catch (error) {
+        logger.error('Content generation failed', {
+            cacheKey,
+            industry,
+            lang,
+            location,
+            type,
+            error: error.message,
+            duration: Date.now() - startTime
+        });
+        throw error;
+    }
+}
+
+/**
+ * Page fields written by structured generation (title, H1, meta description,
+ * text and the features, CTA and FAQ sections), shared by on-demand and admin
+ * generation. Failures are logged and yield null so callers can fall back to
+ * free text.
+ * @param {Object} identity - { tenant, industry, lang, location, type }
+ * @param {Object} options - { industryName: label used in the prompt, userId: user the AI usage is recorded for }
+ */
+export async function generateStructuredContent(identity, { industryName = identity.industry, userId = null } = {}) {
+    const { industry, lang, location, type } = identity;
+
+    try {
+        const { content, prompt } = await generatePageContent(industryName, location, type, lang, null, {
+            tenant: identity.tenant,
+            industryKey: industry,
+            userId
+        });
+        const { sections, defaults } = await loadPageSections(identity);
+
+        return {
+            ...applyPageContent(content, sections, lang, defaults),
+            prompts: { structured: prompt }
+        };
+
+    } catch (error) {
+        logger.warn('Structured content generation failed', { industry, lang, location, type, error: error.message });
+        return null;
+    }
+}
+
+// Free-text page fields: description, meta description and FAQ section
+async function generateTextContent(identity) {
+    const { lang, location, type } = identity;
+    const { description: seoText, prompt } = await generateDescriptionDetailed(identity.industry, location, type, lang, null, {
+        tenant: identity.tenant
+    });
+
+    // Meta description (optional: pages fall back to the start of the text)
+    const metaDescription = await generateMetaDescription(seoText, lang, { tenant: identity.tenant })
+        .catch(error => {
+            logger.warn('Meta description generation failed', { key: buildPageKey(identity), error: error.message });
+            return null;
+        });
+
+    // Location-specific FAQ section (optional, page is saved without it on failure)
+    const sections = await generateFaqSections(identity);
+
+    return {
+        seoText,
+        metaDescription,
+        // Drop the title and H1 of an earlier structured generation
+        title: null,
+        h1: null,
+        ...(sections && { sections }),
+        prompts: { description: prompt }
+    };
+}
+
+// Forget failures whose backoff has passed
+function pruneFailures() {
+    const cutoff = Date.now() - settings.pageGeneration.failureBackoffSeconds * 1000;
+    for (const [key, failedAt] of failures) {
+        if (failedAt < cutoff) failures.delete(key);
+    }
+}
+
+/**
+ * Start generating a page unless a generation for it is already running.
+ * Returns the shared promise, or null while a recent failure is backing off.
+ * @param {Object} options - { initial: first generation of a page requested by a visitor,
+ *   refreshOf: id of the stored page a background refresh replaces }
+ */
+export function requestGeneration(identity, translateTo, { initial = false, refreshOf = null } = {}) {
+    const key = buildPageKey(identity);
+    if (inflight.has(key)) return inflight.get(key);
+
+    const failedAt = failures.get(key);
+    if (failedAt && Date.now() - failedAt < settings.pageGeneration.failureBackoffSeconds * 1000) {
+        return null;
+    }
+
+    // A first generation goes to the review queue, or live when on-demand pages are
+    // auto-published; refreshes keep whatever status editors gave the page
+    let extra = {};
+    if (initial) {
+        extra = settings.pageGeneration.autoPublish
+            ? { status: 'published', publishedAt: new Date() }
+            : { status: 'in_review' };
+    }
+
+    const job = generatePage(identity, translateTo, extra, { refreshOf })
+        .then(page => {
+            failures.delete(key);
+            return page;
+        })
+        .catch(error => {
+            pruneFailures();
+            failures.set(key, Date.now());
+            throw error;
+        })
+        .finally(() => inflight.delete(key));
+
+    // Callers may fire and forget; failures are logged in generatePage
+    job.catch(() => {});
+    inflight.set(key, job);
+    return job;
+}
+
+export function isGenerating(identity) {
+    return inflight.has(buildPageKey(identity));
+}
+
+// Only live on-demand pages are refreshed: pages edited by hand or moved through
+// review have generatedOnDemand cleared, and copy waiting for reviewers stays as it is
+function isRefreshable(page) {
+    return page.status === 'published' && !!page.generatedOnDemand;
+}
+
+/**
+ * Whether an on-demand page is old enough to be regenerated in the background
+ */
+export function isStale(page, now = Date.now()) {
+    if (!isRefreshable(page)) return false;
+    const age = now - new Date(page.updatedAt).getTime();
+    return age > settings.pageGeneration.staleAfterHours * 60 * 60 * 1000;
+}
+
+/**
+ * Serve-stale helper: kick off a background refresh of a stale page
+ * @returns {boolean} whether a refresh is running
+ */
+export function refreshIfStale(page, translateTo) {
+    if (!isStale(page)) return false;
+
+    const identity = {
+        tenant: page.tenant || null,
+        industry: page.industry,
+        lang: page.lang,
+        location: page.location,
+        type: page.type
+    };
+    if (!isGenerating(identity)) {
+        logger.info('Refreshing stale page in background', { key: page.key, updatedAt: page.updatedAt });
+    }
+    return requestGeneration(identity, translateTo, { refreshOf: page._id }) !== null;
+}
@@ -0,0 +1,125 @@
+// View model of a public landing page version, shared by the public route and
+// the static exporter so both render exactly the same markup.
+
+import { getPageAlternates, localizeIdentity } from "./pages.js";
+import { renderStructuredData } from "./structured-data.js";
+import { renderSections } from "./sections.js";
+import { getTemplate, resolvePageTemplate, templateSections } from "./templates.js";
+import { buildThemeCss, getTheme } from "./theme.js";
+import { getShareImageUrl, SHARE_IMAGE_WIDTH, SHARE_IMAGE_HEIGHT } from "./share-images.js";
+import { getTenantLanguages } from "../middleware/tenant.js";
+import { buildPagePath } from "../utils/pageKey.js";
+import settings from "../config/settings.js";
+
+/**
+ * Locals for views/public-pages/property.ejs
+ * @param {Object} pageData - LandingPage (lean); may be the source of a translated version
+ * @param {Object} options - { tenant, lang, siteUrl, template, theme }; lang selects the version to render,
+ *                           template and theme override the page's template and the tenant's theme (previews)
+ * @returns {Object} locals, plus templateView: the view to render them with
+ */
+export function buildPageView(pageData, { tenant = null, lang = pageData.lang, siteUrl, template = null, theme = null }) {
+    const languages = getTenantLanguages(tenant);
+    const { industry, location, type } = localizedVersion(pageData, lang);
+
+    // Translated versions render the translation text; the source page owns the content
+    const isTranslation = pageData.lang !== lang;
+    const seoText = isTranslation ? pageData.translations[lang] : pageData.seoText;
+
+    // hreflang alternates for every language version the tenant serves, x-default = source language
+    const versions = getPageAlternates(pageData, languages.map(l => l.code));
+    const alternates = versions.map(alt => ({ lang: alt.lang, href: siteUrl + alt.path }));
+
+    // Lang switcher: existing versions, otherwise the localized URL a new version would get
+    const langPaths = Object.fromEntries(versions.map(alt => [alt.lang, alt.path]));
+    for (const l of languages) {
+        langPaths[l.code] ??= buildPagePath(localizeIdentity(pageData, l.code));
+    }
+
+    // Generated title and H1 belong to the source language
+    const title = (!isTranslation && pageData.title) || `${type} in ${location}`;
+    const h1 = (!isTranslation && pageData.h1) || title;
+    const description = (!isTranslation && pageData.metaDescription) || seoText.slice(0, 160);
+    const siteName = tenant ? tenant.name : settings.siteName;
+    const canonicalUrl = siteUrl + buildPagePath({ industry, lang, location, type });
+    const pageTemplate = getTemplate(template || resolvePageTemplate(pageData, tenant));
+    const industryConfig = settings.industries.find(i => i.key === industry);
+
+    const sections = renderSections(
+        pageData,
+        { lang, title, h1, seoText, imageUrl: pageData.imageUrl, location, type },
+        templateSections(pageTemplate.key)
+    ).map(section => ({ ...section, component: pageTemplate.components?.[section.type] || section.component }));
+
+    return {
+        templateView: pageTemplate.view,
+        template: pageTemplate.key,
+        title,
+        description,
+        siteName,
+        tenant,
+        themeCss: buildThemeCss(theme || getTheme(tenant)),
+        industry,
+        industryName: industryConfig ? industryConfig.name[lang] || industryConfig.name.en : industry,
+        location,
+        type,
+        languages,
+        lang,
+        langPaths,
+        canonicalUrl,
+        alternates: alternates.length > 1 ? alternates : [],
+        xDefaultUrl: alternates[0]?.href || canonicalUrl,
+        shareImage: {
+            url: siteUrl + getShareImageUrl(pageData, tenant, lang),
+            width: SHARE_IMAGE_WIDTH,
+            height: SHARE_IMAGE_HEIGHT
+        },
+        structuredData: renderStructuredData(pageData, {
+            siteUrl,
+            url: canonicalUrl,
+            siteName,
+            tenant,
+            lang,
+            location,
+            type,
+            title,
+            description: seoText
+        }),
+        seoText,
+        imageUrl: pageData.imageUrl,
+        sections,
+        translations: isTranslation ? {} : pageData.translations || {},
+        pageStatus: pageData.status
+    };
+}
+
+/**
+ * Unsaved page with placeholder content, for previews of tenants without pages
+ * @param {Object} tenant - Tenant (lean)
+ * @param {string} industry - industry key
+ * @param {string} template - template key the sample starts its sections from
+ */
+export function buildSamplePage(tenant, industry, template) {
+    const lang = tenant.allowedLanguages?.[0] || settings.languages[0].code;
+    const industryConfig = settings.industries.find(i => i.key === industry);
+    return {
+        _id: 'preview',
+        tenant: tenant._id,
+        industry,
+        lang,
+        location: 'Sample City',
+        type: (industryConfig.types[lang] || industryConfig.types.en)[0],
+        seoText: 'Your generated page text appears here. Pages are written for each location and type you publish.',
+        imageUrl: null,
+        translations: {},
+        status: 'draft',
+        sections: templateSections(template)
+    };
+}
+
+// URL values of one language version of a page
+function localizedVersion(pageData, lang) {
+    const localized = (pageData.localizedPaths || []).find(p => p.lang === lang);
+    const { location, type } = localized || localizeIdentity(pageData, lang);
+    return { industry: pageData.industry, location, type };
+}
@@ -0,0 +1,232 @@
+// Landing page storage.
+// - MongoDB (LandingPage model) is the source of truth, so pages survive restarts without Redis.
+// - services/cache.js sits in front of it as a read-through layer keyed by the
+//   canonical page key (utils/pageKey.js), which includes the tenant.
+
+import LandingPage from "../models/LandingPage.js";
+import { getFromCache, saveToCache } from "./cache.js";
+import { buildPageKey, buildPagePath } from "../utils/pageKey.js";
+import { recordRevision, getRevision, REVISION_SEO_FIELDS } from "./revisions.js";
+import { cdnService } from "./cdn.js";
+import { extractMediaIds } from "./media.js";
+import { loadBrandVoice, checkPageVoice } from "./brand-voice.js";
+import { logger } from "./logger.js";
+import settings from "../config/settings.js";
+
+function identityFilter({ tenant = null, industry, lang, location, type }) {
+    return { tenant, industry, lang, location, type };
+}
+
+/**
+ * Find a page by identity. Cache first, then database (warming the cache on hit).
+ * @returns {Promise<Object|null>} plain page object
+ */
+export async function getPage(identity) {
+    const key = buildPageKey(identity);
+    const cached = getFromCache(key);
+    if (cached) return cached;
+
+    const page = await LandingPage.findOne(identityFilter(identity)).lean();
+    if (page) {
+        saveToCache(key, page);
+    }
+    return page;
+}
+
+/**
+ * Find a page by its stored key (used by the API, which exposes keys)
+ */
+export async function getPageByKey(key) {
+    const cached = getFromCache(key);
+    if (cached) return cached;
+
+    const page = await LandingPage.findOne({ key }).lean();
+    if (page) {
+        saveToCache(key, page);
+    }
+    return page;
+}
+
+/**
+ * Find the page a translated URL belongs to: a page in another language whose
+ * localized path for this language matches
+ */
+export async function getPageByLocalizedPath({ tenant = null, industry, lang, location, type }) {
+    return LandingPage.findOne({
+        tenant,
+        industry,
+        lang: { $ne: lang },
+        localizedPaths: { $elemMatch: { lang, location, type } }
+    }).lean();
+}
+
+/**
+ * Identity of a page's version in another language. The type is mapped through
+ * the industry's per-language type list; locations are place names and stay as they are.
+ */
+export function localizeIdentity(identity, lang) {
+    const { tenant = null, industry, location, type } = identity;
+    if (lang === identity.lang) return { tenant, industry, lang, location, type };
+
+    const industryConfig = settings.industries.find(i => i.key === industry);
+    const sourceTypes = industryConfig?.types[identity.lang] || [];
+    const index = sourceTypes.findIndex(t => t.toLowerCase() === type.toLowerCase());
+    const localizedType = (index >= 0 && industryConfig.types[lang]?.[index]) || type;
+
+    return { tenant, industry, lang, location, type: localizedType };
+}
+
+/**
+ * localizedPaths entries for a page and the languages it has translations for
+ */
+export function buildLocalizedPaths(identity, translations = {}) {
+    return [identity.lang, ...Object.keys(translations).filter(l => l !== identity.lang)]
+        .map(lang => {
+            const { location, type } = localizeIdentity(identity, lang);
+            return { lang, location, type };
+        });
+}
+
+/**
+ * Every language version of a page as { lang, path }, source language first
+ * @param {string[]|null} languages - codes of the languages served (the tenant's); null = all
+ */
+export function getPageAlternates(page, languages = null) {
+    const paths = page.localizedPaths?.length
+        ? page.localizedPaths
+        : buildLocalizedPaths(page, page.translations);
+
+    return paths
+        .filter(p => !languages || languages.includes(p.lang))
+        .map(p => ({ lang: p.lang, path: buildPagePath({ industry: page.industry, ...p }) }));
+}
+
+/**
+ * Find a page by its database id
+ */
+export async function getPageById(pageId) {
+    return LandingPage.findById(pageId).lean();
+}
+
+/**
+ * Create or overwrite a page, record a revision and refresh its cache entry
+ * @param {Object} identity - { tenant?, industry, lang, location, type }
+ * @param {Object} data - { seoText, metaDescription, imageUrl, translations, sections, keywords, seoData, prompts, status }
+ * @param {Object} meta - revision metadata { author, source, promptParams, restoredFrom }
+ */
+export async function savePage(identity, data, meta = {}) {
+    const key = buildPageKey(identity);
+    const update = { ...data, key };
+    if (data.translations) {
+        update.localizedPaths = buildLocalizedPaths(identity, data.translations);
+    }
+    // Hand-edited content is no longer refreshed automatically
+    if (meta.source === 'manual') {
+        update.generatedOnDemand = false;
+    }
+
+    const page = await LandingPage.findOneAndUpdate(
+        identityFilter(identity),
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, lean: true }
+    );
+
+    // Track the media library assets the page shows
+    const media = extractMediaIds(page.imageUrl, page.sections);
+    if (media.join() !== (page.media || []).map(String).join()) {
+        await LandingPage.updateOne({ _id: page._id }, { $set: { media } });
+        page.media = media;
+    }
+
+    // Flag copy that breaks the tenant's brand voice
+    const voice = await loadBrandVoice(identity.tenant);
+    if (voice) {
+        page.voiceCheck = checkPageVoice(page, voice);
+        await LandingPage.updateOne({ _id: page._id }, { $set: { voiceCheck: page.voiceCheck } });
+        if (!page.voiceCheck.passes) {
+            logger.warn('Page copy breaks brand voice', { key, ...page.voiceCheck });
+        }
+    }
+
+    saveToCache(key, page);
+    cdnService.purgePage(page);
+
+    await recordRevision(page, {
+        promptParams: {
+            industry: identity.industry,
+            location: identity.location,
+            type: identity.type,
+            lang: identity.lang,
+            ...(data.prompts && { prompts: data.prompts })
+        },
+        ...meta
+    });
+
+    logger.info('Landing page saved', {
+        key,
+        pageId: page._id,
+        tenant: identity.tenant || null
+    });
+
+    return page;
+}
+
+/**
+ * List pages matching a filter, most recently updated first
+ */
+export async function listPages(filter = {}, { limit = 0 } = {}) {
+    return LandingPage.find(filter)
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .lean();
+}
+
+// Page identity of a stored page
+function identityOf(page) {
+    return {
+        tenant: page.tenant,
+        industry: page.industry,
+        lang: page.lang,
+        location: page.location,
+        type: page.type
+    };
+}
+
+/**
+ * Change how a page is laid out: its sections (services/sections.js) and/or
+ * template (services/templates.js). Recorded as a manual revision.
+ * @param {Object} layout - { sections?, template? }; template null = tenant default
+ */
+export async function savePageLayout(page, layout, { author = null } = {}) {
+    return savePage(identityOf(page), layout, { author, source: 'manual' });
+}
+
+/**
+ * Restore a page to the content of one of its revisions.
+ * The restore itself is recorded as a new revision, so it can be undone too.
+ */
+export async function restoreRevision(pageId, revisionId, { author = null } = {}) {
+    const page = await getPageById(pageId);
+    if (!page) return null;
+
+    const revision = await getRevision(pageId, revisionId);
+    if (!revision) return null;
+
+    const data = {
+        seoText: revision.seoText,
+        imageUrl: revision.imageUrl,
+        translations: revision.translations,
+        ...(revision.sections ? { sections: revision.sections } : {})
+    };
+    // Older revisions did not snapshot these; the page keeps its current values then
+    for (const field of REVISION_SEO_FIELDS) {
+        if (revision[field] !== undefined) data[field] = revision[field];
+    }
+
+    return savePage(identityOf(page), data, {
+        author,
+        source: 'manual',
+        promptParams: revision.promptParams,
+        restoredFrom: revision._id
+    });
+}
@@ -0,0 +1,210 @@
+// Prompt template library. Each AI operation's prompt comes from the most
+// specific template: tenant + industry, tenant, industry, platform-wide, then
+// the built-in prompt of config/prompts.js (version 0). Templates are versioned;
+// generated pages record { template, version } so versions can be compared.
+
+import mongoose from "mongoose";
+import PromptTemplate from "../models/PromptTemplate.js";
+import LandingPage from "../models/LandingPage.js";
+import { defaultPrompts, languageInstructions, PROMPT_VARIABLES } from "../config/prompts.js";
+import { logger } from "./logger.js";
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+/**
+ * Names used in a template that are not prompt variables
+ */
+export function findUnknownVariables(text) {
+    const names = [...String(text || "").matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+    return [...new Set(names.filter(name => !PROMPT_VARIABLES[name]))];
+}
+
+/**
+ * Whether a template text uses a variable
+ */
+export function usesVariable(text, name) {
+    return [...String(text || "").matchAll(VARIABLE_PATTERN)].some(match => match[1] === name);
+}
+
+export function renderPrompt(text, variables) {
+    return String(text).replace(VARIABLE_PATTERN, (placeholder, name) => variables[name] ?? placeholder);
+}
+
+function languageName(lang) {
+    try {
+        return languageNames.of(lang) || lang;
+    } catch {
+        return lang;
+    }
+}
+
+/**
+ * Values of every prompt variable for a page
+ * @param {Object} context - { industry, location, type, lang, keywords, brandVoice }
+ */
+export function buildPromptVariables({ industry, location, type, lang, keywords = [], brandVoice = "" }) {
+    const language = languageName(lang);
+    return {
+        industry,
+        location,
+        type,
+        lang,
+        language,
+        languageInstruction: languageInstructions[lang]
+            || `Write in professional ${language} with SEO optimization for ${language}-speaking readers`,
+        keywords: (Array.isArray(keywords) ? keywords.join(", ") : keywords) || "none specified",
+        brandVoice: brandVoice || "not specified"
+    };
+}
+
+function idOf(value) {
+    if (!value) return null;
+    return value instanceof mongoose.Types.ObjectId || typeof value === "string" ? value : value._id;
+}
+
+// Lower is more specific
+function precedence(template) {
+    return (template.tenant ? 0 : 2) + (template.industry ? 0 : 1);
+}
+
+class PromptService {
+    /**
+     * Template an operation uses for a tenant and industry
+     * @returns {Promise<Object|null>} lean PromptTemplate, null = built-in prompt
+     */
+    async findTemplate(operation, { tenant = null, industry = null } = {}) {
+        const tenantId = idOf(tenant);
+        const candidates = await PromptTemplate.find({
+            operation,
+            tenant: { $in: tenantId ? [tenantId, null] : [null] },
+            industry: { $in: industry ? [industry, null] : [null] }
+        }).lean();
+
+        return candidates.sort((a, b) => precedence(a) - precedence(b))[0] || null;
+    }
+
+    /**
+     * Rendered prompt of an operation
+     * @param {Object} context - prompt variables (see buildPromptVariables) plus tenant and
+     *   industryKey (settings.industries key, when `industry` is a display name)
+     * @returns {Promise<{ system, prompt, template, version }>} template null, version 0 = built-in
+     */
+    async render(operation, { tenant = null, industryKey, ...context }) {
+        const builtIn = defaultPrompts[operation];
+        if (!builtIn) {
+            throw new Error(`No prompt for AI operation: ${operation}`);
+        }
+
+        let template = null;
+        try {
+            template = await this.findTemplate(operation, { tenant, industry: industryKey || context.industry });
+        } catch (error) {
+            // The built-in prompt keeps generation going without the database
+            logger.error('Prompt template lookup failed', { operation, error: error.message });
+        }
+        const active = template?.versions.find(v => v.version === template.activeVersion);
+        const variables = buildPromptVariables(context);
+        const system = active?.system || builtIn.system;
+        const body = active?.body || builtIn.body;
+
+        return {
+            system: renderPrompt(system, variables),
+            prompt: renderPrompt(body, variables),
+            // Templates without {{brandVoice}} get the voice in the system prompt instead
+            usesBrandVoice: usesVariable(system, "brandVoice") || usesVariable(body, "brandVoice"),
+            template: active ? template._id : null,
+            version: active ? active.version : 0
+        };
+    }
+
+    /**
+     * Test render of unsaved template text with sample variables
+     */
+    preview({ system, body }, context) {
+        const variables = buildPromptVariables(context);
+        return { system: renderPrompt(system, variables), prompt: renderPrompt(body, variables) };
+    }
+
+    async listTemplates() {
+        return PromptTemplate.find()
+            .populate('tenant', 'name')
+            .sort({ operation: 1, tenant: 1, industry: 1 })
+            .lean();
+    }
+
+    async getTemplate(templateId) {
+        return PromptTemplate.findById(templateId)
+            .populate('tenant', 'name')
+            .populate('versions.author', 'username')
+            .lean();
+    }
+
+    /**
+     * Add a version to the template of a scope (creating the template) and make it active
+     * @param {Object} data - { operation, industry, tenant, system, body, note, author }
+     */
+    async saveVersion({ operation, industry = null, tenant = null, system, body, note = '', author = null }) {
+        const unknown = findUnknownVariables(`${system} ${body}`);
+        if (unknown.length) {
+            const error = new Error(`Unknown prompt variables: ${unknown.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const scope = { operation, industry: industry || null, tenant: idOf(tenant) };
+        const template = await PromptTemplate.findOne(scope) || new PromptTemplate(scope);
+        const version = (template.versions.at(-1)?.version || 0) + 1;
+
+        template.versions.push({ version, system, body, note, author });
+        template.activeVersion = version;
+        await template.save();
+
+        logger.info('Prompt template version saved', { templateId: template._id, ...scope, version });
+        return template;
+    }
+
+    /**
+     * Switch a template to one of its versions (e.g. roll back)
+     */
+    async activateVersion(templateId, version) {
+        const template = await PromptTemplate.findById(templateId);
+        if (!template?.versions.some(v => v.version === version)) {
+            const error = new Error('Prompt template version not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        template.activeVersion = version;
+        await template.save();
+        logger.info('Prompt template version activated', { templateId, version });
+        return template;
+    }
+
+    /**
+     * Pages each version of a template wrote, for comparing versions
+     * @returns {Promise<Object>} { [version]: { pages, published, averageLength } }
+     */
+    async getVersionStats(template) {
+        const field = `prompts.${template.operation}`;
+        const rows = await LandingPage.aggregate([
+            { $match: { [`${field}.template`]: template._id } },
+            {
+                $group: {
+                    _id: `$${field}.version`,
+                    pages: { $sum: 1 },
+                    published: { $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] } },
+                    averageLength: { $avg: { $strLenCP: '$seoText' } }
+                }
+            }
+        ]);
+
+        return Object.fromEntries(rows.map(row => [row._id, {
+            pages: row.pages,
+            published: row.published,
+            averageLength: Math.round(row.averageLength || 0)
+        }]));
+    }
+}
+
+export const promptService = new PromptService();
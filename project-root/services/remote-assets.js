@@ -0,0 +1,110 @@
+// Server-side downloads of tenant-controlled URLs (logos, hero images). The URLs are
+// user input, so requests only go to public addresses: loopback, private, link-local
+// and other reserved ranges are refused, also after redirects and DNS resolution,
+// and bodies stop being read past a size limit.
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import fetch from "node-fetch";
+import settings from "../config/settings.js";
+
+const DEFAULT_TIMEOUT = 5000;
+const MAX_REDIRECTS = 3;
+
+const blockedRanges = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+    ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16],
+    ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv4"));
+[
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+export function isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blockedRanges.check(mapped[1], "ipv4");
+    const family = net.isIP(address);
+    if (!family) return true;
+    return blockedRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function blockedError(host) {
+    const error = new Error(`Address of ${host} is not public`);
+    error.code = "EADDRBLOCKED";
+    return error;
+}
+
+// DNS lookup for sockets that refuses non-public answers, so a name cannot
+// resolve to an internal service between the check and the connection
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(blockedError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const agents = {
+    "http:": new http.Agent({ lookup: publicLookup }),
+    "https:": new https.Agent({ lookup: publicLookup })
+};
+
+// Sockets skip the lookup for IP literals, so those are checked here
+function checkUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (!agents[protocol]) {
+        throw new Error(`Unsupported protocol ${protocol}`);
+    }
+    const host = hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        throw blockedError(host);
+    }
+}
+
+/**
+ * Download a remote asset from a public address
+ * @param {string} url - http(s) URL
+ * @param {Object} options - { maxBytes (default settings.media.maxFileSize), timeout in ms }
+ * @returns {Promise<Buffer>} throws on blocked addresses, HTTP errors, timeouts and oversized bodies
+ */
+export async function fetchRemoteAsset(url, { maxBytes = settings.media.maxFileSize, timeout = DEFAULT_TIMEOUT } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let current = url;
+        for (let redirects = 0; ; redirects++) {
+            checkUrl(current);
+            const response = await fetch(current, {
+                signal: controller.signal,
+                agent: parsed => agents[parsed.protocol],
+                redirect: "manual",
+                size: maxBytes
+            });
+
+            if (response.status >= 300 && response.status < 400 && response.headers.get("location")) {
+                response.body.resume();
+                if (redirects >= MAX_REDIRECTS) throw new Error("Too many redirects");
+                current = new URL(response.headers.get("location"), current).href;
+                continue;
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const length = parseInt(response.headers.get("content-length"), 10);
+            if (length > maxBytes) throw new Error(`Asset is larger than ${maxBytes} bytes`);
+            // node-fetch stops reading and rejects once the body passes `size`
+            return await response.buffer();
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
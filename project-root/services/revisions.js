@@ -0,0 +1,149 @@
+import PageRevision from "../models/PageRevision.js";
+import LandingPage from "../models/LandingPage.js";
+import { logger } from "./logger.js";
+
+// Word-diff guard: the LCS table is O(n*m), keep it bounded
+const MAX_DIFF_WORDS = 5000;
+
+// Page fields snapshotted next to the text, restored with it and compared field by field
+export const REVISION_SEO_FIELDS = ['title', 'h1', 'metaDescription', 'keywords'];
+
+/**
+ * Snapshot the current state of a page as a new immutable revision
+ * @param {Object} page - saved LandingPage (plain object)
+ * @param {Object} meta - { author, source, promptParams, restoredFrom }
+ */
+export async function recordRevision(page, { author = null, source = 'ai', promptParams = {}, restoredFrom = null } = {}) {
+    // Numbers come from a counter on the page, so concurrent saves never get the same one
+    const { revisionCount } = await LandingPage.findByIdAndUpdate(
+        page._id,
+        { $inc: { revisionCount: 1 } },
+        { new: true, projection: { revisionCount: 1 }, lean: true }
+    );
+
+    const revision = await PageRevision.create({
+        page: page._id,
+        tenant: page.tenant || null,
+        revision: revisionCount,
+        seoText: page.seoText,
+        imageUrl: page.imageUrl || null,
+        translations: page.translations || {},
+        sections: page.sections || [],
+        title: page.title || null,
+        h1: page.h1 || null,
+        metaDescription: page.metaDescription || null,
+        keywords: page.keywords || [],
+        author,
+        source,
+        promptParams,
+        restoredFrom
+    });
+
+    logger.info('Page revision recorded', {
+        pageId: page._id,
+        revision: revision.revision,
+        source,
+        author
+    });
+
+    return revision;
+}
+
+/**
+ * List revisions of a page, newest first
+ */
+export async function listRevisions(pageId) {
+    return PageRevision.find({ page: pageId })
+        .sort({ revision: -1 })
+        .populate('author', 'username email')
+        .lean();
+}
+
+/**
+ * Get a single revision, making sure it belongs to the given page
+ */
+export async function getRevision(pageId, revisionId) {
+    return PageRevision.findOne({ _id: revisionId, page: pageId }).lean();
+}
+
+/**
+ * Pick two revisions from a (newest first) list and diff them.
+ * Defaults to the latest revision against the one before it.
+ */
+export function compareRevisions(revisions, fromId, toId) {
+    const find = (id) => revisions.find(r => r._id.toString() === String(id));
+
+    const to = (toId && find(toId)) || revisions[0] || null;
+    const from = (fromId && find(fromId)) || revisions[revisions.indexOf(to) + 1] || to;
+
+    return {
+        from,
+        to,
+        diff: from && to ? diffWords(from.seoText, to.seoText) : [],
+        fieldChanges: from && to ? diffFields(from, to) : []
+    };
+}
+
+// SEO fields that differ between two revisions; fields a revision predates are skipped
+function diffFields(from, to) {
+    const display = (value) => (Array.isArray(value) ? value.join(', ') : value) || '';
+
+    return REVISION_SEO_FIELDS
+        .filter(field => from[field] !== undefined && to[field] !== undefined)
+        .map(field => ({ field, from: display(from[field]), to: display(to[field]) }))
+        .filter(change => change.from !== change.to);
+}
+
+/**
+ * Word-level diff between two texts (LCS based)
+ * @returns {Array<{ type: 'equal'|'added'|'removed', value: string }>}
+ */
+export function diffWords(oldText = '', newText = '') {
+    const a = oldText.split(/\s+/).filter(Boolean);
+    const b = newText.split(/\s+/).filter(Boolean);
+
+    if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+        return [
+            { type: 'removed', value: a.join(' ') },
+            { type: 'added', value: b.join(' ') }
+        ];
+    }
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, value) => {
+        const prev = parts[parts.length - 1];
+        if (prev && prev.type === type) {
+            prev.value += ` ${value}`;
+        } else {
+            parts.push({ type, value });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
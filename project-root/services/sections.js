@@ -0,0 +1,253 @@
+// Landing pages are composed of ordered, typed sections (see config/sections.js).
+// Pages without sections of their own render the default composition.
+
+import definitions from "../config/sections.js";
+import { templates, DEFAULT_TEMPLATE } from "../config/templates.js";
+import settings from "../config/settings.js";
+
+export const SECTION_TYPES = Object.keys(definitions);
+export const MAX_SECTIONS = 20;
+
+const MAX_TEXT = 300;
+const MAX_TEXTAREA = 2000;
+const MAX_LIST_ITEMS = 50;
+
+/**
+ * Whether a section type exists and its module is enabled
+ */
+export function isSectionAvailable(type) {
+    const definition = definitions[type];
+    return !!definition && (!definition.module || settings.modules[definition.module] !== false);
+}
+
+/**
+ * Composition used by pages that have not been arranged by hand
+ * @param {string[]} types - section types in order; defaults to the standard template's
+ */
+export function defaultSections(types = templates[DEFAULT_TEMPLATE].sections) {
+    return types
+        .filter(isSectionAvailable)
+        .map(type => ({ type, enabled: true, data: {} }));
+}
+
+/**
+ * Sections of a page, or the given defaults (its template's) when it has none
+ */
+export function getPageSections(page, defaults = defaultSections()) {
+    return page.sections?.length ? page.sections : defaults;
+}
+
+// "a | b" lines -> [{ col1: a, col2: b }]; the last column keeps any further "|"
+function parseList(value, columns) {
+    if (Array.isArray(value)) return value;
+    return String(value || "")
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const parts = line.split("|").map(part => part.trim());
+            return Object.fromEntries(columns.map((column, i) => [
+                column,
+                i === columns.length - 1 ? parts.slice(i).join(" | ") : parts[i] || ""
+            ]));
+        });
+}
+
+/**
+ * List items as editor text, one per line
+ */
+export function formatList(items = [], columns) {
+    return items
+        .map(item => columns.map(column => item[column] ?? "").join(" | ").replace(/( \| )+$/, ""))
+        .join("\n");
+}
+
+/**
+ * Clean the submitted data of one section against its field definitions.
+ * Empty fields are left out so the type's defaults apply.
+ * @returns {{ data: Object, errors: string[] }}
+ */
+export function parseSectionData(type, raw = {}) {
+    const definition = definitions[type];
+    const data = {};
+    const errors = [];
+    if (!definition) return { data, errors: [`Unknown section type '${type}'`] };
+
+    for (const field of definition.fields) {
+        const value = raw?.[field.name];
+
+        if (field.kind === "list") {
+            const items = parseList(value, field.columns);
+            if (items.length > MAX_LIST_ITEMS) {
+                errors.push(`${definition.label}: at most ${MAX_LIST_ITEMS} items`);
+            }
+            if (items.some(item => !item[field.columns[0]])) {
+                errors.push(`${definition.label}: every item needs a ${field.columns[0]}`);
+            }
+            if (items.some(item => field.columns.some(column => String(item[column] ?? "").length > MAX_TEXTAREA))) {
+                errors.push(`${definition.label}: items are limited to ${MAX_TEXTAREA} characters`);
+            }
+            if (items.length) data[field.name] = items;
+            continue;
+        }
+
+        const text = typeof value === "string" ? value.trim() : "";
+        if (!text) continue;
+
+        const max = field.kind === "textarea" ? MAX_TEXTAREA : MAX_TEXT;
+        if (field.kind === "lang" && !/^[a-z]{2}(-[A-Z]{2})?$/.test(text)) {
+            errors.push(`${definition.label}: ${field.label} must be a language code`);
+        } else if (field.kind === "url" && !/^(https?:\/\/|\/|#)\S*$/.test(text)) {
+            errors.push(`${definition.label}: ${field.label} must be an http(s) URL, a site path or an #anchor`);
+        } else if (text.length > max) {
+            errors.push(`${definition.label}: ${field.label} is limited to ${max} characters`);
+        }
+        data[field.name] = text;
+    }
+
+    return { data, errors };
+}
+
+// Sections and list items tagged with a language only appear on that language version
+function forLanguage(items, lang) {
+    return items.filter(item => !item.lang || item.lang === lang);
+}
+
+/**
+ * Enabled sections of a page version, ready for views/components/<component>.ejs
+ * @param {Object} page - LandingPage (lean)
+ * @param {Object} context - the rendered version: { lang, title, h1, seoText, imageUrl, location, type }
+ * @param {Array} defaults - sections used when the page has none (see getPageSections)
+ * @returns {Array<{ id, type, component, data, context }>}
+ */
+export function renderSections(page, context, defaults) {
+    return getPageSections(page, defaults)
+        .filter(section => section.enabled !== false && isSectionAvailable(section.type))
+        .filter(section => !section.data?.lang || section.data.lang === context.lang)
+        .map((section, index) => {
+            const definition = definitions[section.type];
+            const data = { ...definition.defaults, ...section.data };
+
+            const lists = definition.fields.filter(field => field.kind === "list");
+            for (const field of lists) {
+                data[field.name] = forLanguage(data[field.name] || [], context.lang);
+            }
+            // Sections that are nothing but a list are skipped while the list is empty
+            if (lists.length && lists.every(field => data[field.name].length === 0)) return null;
+
+            return { id: `section-${index + 1}`, type: section.type, component: definition.component, data, context };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Page sections with the AI section of a type replaced by new data. Hand-made
+ * sections are kept; new data fills an empty section of the type in the template,
+ * otherwise it goes right after the hero (or last, with append).
+ * @param {Array} sections - current sections of the page
+ * @param {Array} defaults - the page template's sections, used when the page has none
+ * @param {Object} options - { keep: data fields a replaced section keeps (heading...),
+ *   isEmpty: whether an existing section is an empty slot, append }
+ */
+export function withAiSection(sections, type, data, defaults, {
+    keep = ["heading"],
+    isEmpty = section => !section.data?.items?.length,
+    append = false
+} = {}) {
+    const current = getPageSections({ sections }, defaults);
+    const generated = { type, enabled: true, source: "ai", data };
+
+    let index = current.findIndex(section => section.type === type && section.source === "ai");
+    if (index === -1) {
+        index = current.findIndex(section => section.type === type && isEmpty(section));
+    }
+    if (index !== -1) {
+        // Keep the tenant's placement, visibility and kept fields
+        const previous = current[index];
+        generated.enabled = previous.enabled !== false;
+        for (const field of keep) {
+            if (previous.data?.[field]) generated.data = { ...generated.data, [field]: previous.data[field] };
+        }
+        return current.map((section, i) => (i === index ? generated : section));
+    }
+
+    if (append) return [...current, generated];
+    const heroIndex = current.findIndex(section => section.type === "hero");
+    return [...current.slice(0, heroIndex + 1), generated, ...current.slice(heroIndex + 1)];
+}
+
+/**
+ * Question/answer pairs of the enabled FAQ sections for one language version
+ */
+export function getFaqItems(page, lang) {
+    return renderSections(page, { lang })
+        .filter(section => section.type === "faq")
+        .flatMap(section => section.data.items)
+        .filter(item => item.question && item.answer);
+}
+
+/**
+ * Sections to store from the editor form: removed ones dropped, sorted by position,
+ * a newly added type appended. Required sections are always kept, once and enabled.
+ * @param {Array} submitted - [{ type, source, enabled, position, remove, data }]
+ * @param {string|null} addType - section type to append
+ */
+export function composeSections(submitted = [], addType = null) {
+    const isRequired = type => !!definitions[type]?.required;
+    const sections = submitted
+        .filter(section => !section.remove || isRequired(section.type))
+        .map((section, index) => ({ section, index }))
+        .sort((a, b) => (a.section.position ?? a.index) - (b.section.position ?? b.index) || a.index - b.index)
+        .map(({ section }) => ({
+            type: section.type,
+            source: section.source === "ai" ? "ai" : "manual",
+            enabled: isRequired(section.type) || section.enabled === true,
+            data: parseSectionData(section.type, section.data).data
+        }))
+        .filter((section, i, all) => !isRequired(section.type) || all.findIndex(s => s.type === section.type) === i);
+
+    if (addType) {
+        sections.push({ type: addType, enabled: true, data: {} });
+    }
+    for (const type of SECTION_TYPES.filter(isRequired).reverse()) {
+        if (!sections.some(section => section.type === type)) {
+            sections.unshift({ type, enabled: true, data: {} });
+        }
+    }
+
+    return sections.slice(0, MAX_SECTIONS);
+}
+
+/**
+ * Editor rows for a page: stored (or default) sections with list fields as text
+ */
+export function getSectionEditorRows(page, defaults) {
+    return getPageSections(page, defaults).map((section, index) => {
+        const definition = definitions[section.type];
+        const values = {};
+        for (const field of definition.fields) {
+            const value = section.data?.[field.name];
+            values[field.name] = field.kind === "list" ? formatList(value, field.columns) : value ?? "";
+        }
+        return {
+            type: section.type,
+            source: section.source || "manual",
+            label: definition.label,
+            required: !!definition.required,
+            available: isSectionAvailable(section.type),
+            enabled: section.enabled !== false,
+            position: index + 1,
+            fields: definition.fields,
+            values
+        };
+    });
+}
+
+/**
+ * Section types offered in the editor's "add section" list
+ */
+export function getAddableSectionTypes() {
+    return SECTION_TYPES
+        .filter(type => isSectionAvailable(type) && !definitions[type].required)
+        .map(type => ({ type, label: definitions[type].label }));
+}
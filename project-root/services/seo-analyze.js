@@ -7,6 +7,7 @@ import path from "path";
 import dotenv from "dotenv";
 import { suggestKeywordsFromText } from "./keywords.js";
 import { logger } from "./logger.js";
+import { seoLimits } from "../config/seo.js";
 
 dotenv.config();
 
@@ -125,13 +126,13 @@ export async function analyzeCompetitorSEO(url) {
             title: {
                 text: title,
                 length: title.length,
-                isOptimal: title.length >= 30 && title.length <= 60,
+                isOptimal: isOptimalLength(title, seoLimits.title),
                 hasKeywords: !!title
             },
             metaDescription: {
                 text: metaDescription,
                 length: metaDescription.length,
-                isOptimal: metaDescription.length >= 120 && metaDescription.length <= 160,
+                isOptimal: isOptimalLength(metaDescription, seoLimits.metaDescription),
                 exists: !!metaDescription
             },
             metaKeywords: {
@@ -209,8 +210,8 @@ export async function analyzeCompetitorSEO(url) {
             
             // SEO Score (simple calculation)
             score: calculateSeoScore({
-                title: title.length >= 30 && title.length <= 60,
-                metaDescription: metaDescription.length >= 120 && metaDescription.length <= 160,
+                title: isOptimalLength(title, seoLimits.title),
+                metaDescription: isOptimalLength(metaDescription, seoLimits.metaDescription),
                 h1Count: headings.filter(h => h.level === 1).length === 1,
                 altTags: images.length === 0 || (images.filter(img => img.hasAlt).length / images.length) > 0.8,
                 wordCount: wordCount >= 300,
@@ -248,6 +249,10 @@ export async function analyzeCompetitorSEO(url) {
     }
 }
 
+function isOptimalLength(text, { min, max }) {
+    return text.length >= min && text.length <= max;
+}
+
 /**
  * Calculate SEO score based on various factors
  */
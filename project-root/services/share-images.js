@@ -0,0 +1,178 @@
+// Open Graph / Twitter share images: 1200x630 PNGs composed from the tenant's
+// theme (primaryColor, logo), the page title and its hero image.
+// Rendered on first request and cached on disk; the file name carries a hash of
+// everything drawn, so a theme or content change produces a new image.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import settings from "../config/settings.js";
+import { fetchRemoteAsset } from "./remote-assets.js";
+import { logger } from "./logger.js";
+
+export const SHARE_IMAGE_WIDTH = 1200;
+export const SHARE_IMAGE_HEIGHT = 630;
+
+const PUBLIC_DIR = path.resolve("public");
+
+function tenantDir(tenantId) {
+    return path.resolve(settings.shareImages.dir, tenantId ? tenantId.toString() : "platform");
+}
+
+function themeOf(tenant) {
+    const color = /^#[0-9a-f]{6}$/i.test(tenant?.primaryColor || "") ? tenant.primaryColor : settings.shareImages.defaultColor;
+    return { color, logoUrl: tenant?.logoUrl || null };
+}
+
+/**
+ * Title shown on a page's language version: the generated title of the source
+ * language, otherwise "<type> in <location>"
+ */
+export function getShareTitle(page, lang) {
+    if (page.title && lang === page.lang) return page.title;
+    const localized = (page.localizedPaths || []).find(p => p.lang === lang);
+    const { type, location } = localized || page;
+    return `${type} in ${location}`;
+}
+
+/**
+ * Hash of everything drawn on the image
+ */
+export function getShareImageVersion(page, tenant, lang) {
+    const { color, logoUrl } = themeOf(tenant);
+    return crypto
+        .createHash("sha1")
+        .update(JSON.stringify([getShareTitle(page, lang), page.imageUrl || null, color, logoUrl]))
+        .digest("hex")
+        .slice(0, 12);
+}
+
+/**
+ * Public URL of a page's share image; the version query busts CDN and social caches
+ */
+export function getShareImageUrl(page, tenant, lang) {
+    return `/share-images/${page._id}/${encodeURIComponent(lang)}.png?v=${getShareImageVersion(page, tenant, lang)}`;
+}
+
+// Remote URLs are fetched from public addresses only, site paths are read from public/
+async function loadImage(url) {
+    if (!url) return null;
+
+    try {
+        if (/^https?:\/\//.test(url)) {
+            return await fetchRemoteAsset(url);
+        }
+
+        const filePath = path.resolve(PUBLIC_DIR, `.${url.startsWith("/") ? url : `/${url}`}`);
+        if (!filePath.startsWith(PUBLIC_DIR + path.sep)) return null;
+        return await fs.readFile(filePath);
+
+    } catch (error) {
+        logger.warn("Share image asset could not be loaded", { url, error: error.message });
+        return null;
+    }
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[ch]));
+}
+
+// Title as SVG text, word-wrapped into the given width (max 4 lines)
+function titleSvg(title, width) {
+    const fontSize = 56;
+    const maxChars = Math.floor((width - 120) / (fontSize * 0.55));
+    const lines = [];
+
+    for (const word of title.split(/\s+/)) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    if (lines.length > 4) {
+        lines.length = 4;
+        lines[3] = `${lines[3].slice(0, maxChars - 1)}…`;
+    }
+
+    const startY = SHARE_IMAGE_HEIGHT - 80 - (lines.length - 1) * fontSize * 1.2;
+    const text = lines
+        .map((line, i) => `<text x="60" y="${startY + i * fontSize * 1.2}">${escapeXml(line)}</text>`)
+        .join("");
+
+    return `<svg width="${SHARE_IMAGE_WIDTH}" height="${SHARE_IMAGE_HEIGHT}" xmlns="http://www.w3.org/2000/svg">`
+        + `<g font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="#ffffff">${text}</g>`
+        + `</svg>`;
+}
+
+async function composeImage(page, tenant, lang, outFile) {
+    // Native module; loaded on first render so pages still serve without it
+    const { default: sharp } = await import("sharp");
+    const { color, logoUrl } = themeOf(tenant);
+    const half = SHARE_IMAGE_WIDTH / 2;
+    const layers = [];
+
+    const hero = await loadImage(page.imageUrl);
+    if (hero) {
+        layers.push({
+            input: await sharp(hero).resize(half, SHARE_IMAGE_HEIGHT, { fit: "cover" }).toBuffer(),
+            left: half,
+            top: 0
+        });
+    }
+
+    const logo = await loadImage(logoUrl);
+    if (logo) {
+        layers.push({
+            input: await sharp(logo).resize({ width: 400, height: 80, fit: "inside" }).png().toBuffer(),
+            left: 60,
+            top: 60
+        });
+    }
+
+    layers.push({ input: Buffer.from(titleSvg(getShareTitle(page, lang), hero ? half : SHARE_IMAGE_WIDTH)), left: 0, top: 0 });
+
+    await sharp({
+        create: { width: SHARE_IMAGE_WIDTH, height: SHARE_IMAGE_HEIGHT, channels: 4, background: color }
+    })
+        .composite(layers)
+        .png()
+        .toFile(outFile);
+}
+
+/**
+ * Path of the rendered share image, rendering it first if this version is not on disk yet.
+ * Older versions of the same image are removed.
+ */
+export async function renderShareImage(page, tenant, lang) {
+    const dir = tenantDir(page.tenant);
+    const prefix = `${page._id}-${lang}-`;
+    const file = path.join(dir, `${prefix}${getShareImageVersion(page, tenant, lang)}.png`);
+
+    try {
+        await fs.access(file);
+        return file;
+    } catch {
+        // not rendered yet
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    // Unique per render: concurrent renders of the same image must not share a temp file
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    await composeImage(page, tenant, lang, tmp);
+    await fs.rename(tmp, file);
+
+    const stale = (await fs.readdir(dir)).filter(name => name.startsWith(prefix) && path.join(dir, name) !== file);
+    await Promise.all(stale.map(name => fs.rm(path.join(dir, name), { force: true })));
+
+    logger.info("Share image rendered", { pageId: page._id, lang, file });
+    return file;
+}
+
+/**
+ * Drop all cached share images of a tenant, e.g. after its theme changed
+ */
+export async function clearShareImages(tenantId) {
+    await fs.rm(tenantDir(tenantId), { recursive: true, force: true });
+}
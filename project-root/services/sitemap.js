@@ -0,0 +1,114 @@
+// Sitemaps and robots.txt for the tenant resolved from the Host header.
+// Only pages the public can see right now (livePageFilter) are listed.
+
+import LandingPage from "../models/LandingPage.js";
+import { livePageFilter } from "./workflow.js";
+import { getPageAlternates } from "./pages.js";
+import { getTenantLanguages } from "../middleware/tenant.js";
+import settings from "../config/settings.js";
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, ch => XML_ESCAPES[ch]);
+}
+
+/**
+ * Absolute origin pages are listed under: the tenant's primary domain,
+ * otherwise the host the request came in on
+ */
+export function getSiteUrl(req) {
+    const host = req.tenant?.domain || req.get('host');
+    return `${req.protocol}://${host}`;
+}
+
+function tenantPagesFilter(tenant, now) {
+    return { ...livePageFilter(now), tenant: tenant?._id || null };
+}
+
+// Every language version of a page is its own <url>, so a sitemap holds fewer pages than URLs
+function pagesPerChunk() {
+    return Math.max(1, Math.floor(settings.seo.sitemapMaxUrls / settings.languages.length));
+}
+
+/**
+ * Number of sitemap files needed for a tenant; 1 means a plain <urlset>, more means an index
+ */
+export async function countSitemapChunks(tenant, now = new Date()) {
+    const total = await LandingPage.countDocuments(tenantPagesFilter(tenant, now));
+    return Math.max(1, Math.ceil(total / pagesPerChunk()));
+}
+
+/**
+ * Write one <urlset> (chunk is 1-based) to a writable stream such as res
+ */
+export async function writeSitemap(out, { tenant, siteUrl, chunk = 1, now = new Date() }) {
+    const limit = pagesPerChunk();
+    const cursor = LandingPage.aggregate([
+        { $match: tenantPagesFilter(tenant, now) },
+        { $sort: { _id: 1 } },
+        { $skip: (chunk - 1) * limit },
+        { $limit: limit },
+        { $project: { industry: 1, lang: 1, location: 1, type: 1, localizedPaths: 1, updatedAt: 1 } }
+    ]).cursor();
+
+    // Versions in languages the tenant does not serve answer 404, so they are left out
+    const languages = getTenantLanguages(tenant).map(l => l.code);
+
+    out.write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    out.write('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n');
+
+    for await (const page of cursor) {
+        const alternates = getPageAlternates(page, languages);
+        if (!alternates.length) continue;
+        const links = alternates.length > 1
+            ? alternates.map(alt => `    <xhtml:link rel="alternate" hreflang="${escapeXml(alt.lang)}" href="${escapeXml(siteUrl + alt.path)}"/>\n`).join('')
+                + `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(siteUrl + alternates[0].path)}"/>\n`
+            : '';
+        const lastmod = page.updatedAt ? `    <lastmod>${page.updatedAt.toISOString()}</lastmod>\n` : '';
+
+        // One entry per language version, each carrying the full set of alternates
+        for (const version of alternates) {
+            out.write(`  <url>\n    <loc>${escapeXml(siteUrl + version.path)}</loc>\n${lastmod}${links}  </url>\n`);
+        }
+    }
+
+    out.write('</urlset>\n');
+}
+
+/**
+ * <sitemapindex> pointing at /sitemap-<n>.xml files
+ */
+export function buildSitemapIndex(siteUrl, chunks, now = new Date()) {
+    const entries = Array.from({ length: chunks }, (_, i) =>
+        `  <sitemap>\n    <loc>${escapeXml(`${siteUrl}/sitemap-${i + 1}.xml`)}</loc>\n    <lastmod>${now.toISOString()}</lastmod>\n  </sitemap>\n`
+    );
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+        + entries.join('')
+        + '</sitemapindex>\n';
+}
+
+/**
+ * robots.txt: platform-wide disallows plus the tenant's own rules
+ */
+export function buildRobotsTxt(tenant, siteUrl) {
+    const robots = tenant?.robots || {};
+    const lines = ['User-agent: *'];
+
+    if (robots.blockAll) {
+        lines.push('Disallow: /');
+    } else {
+        lines.push('Allow: /market/');
+        const disallow = new Set([...settings.seo.robotsDisallow, ...(robots.disallow || [])]);
+        for (const path of disallow) {
+            lines.push(`Disallow: ${path}`);
+        }
+    }
+    if (robots.crawlDelay) {
+        lines.push(`Crawl-delay: ${robots.crawlDelay}`);
+    }
+
+    lines.push('', `Sitemap: ${siteUrl}/sitemap.xml`);
+    return lines.join('\n') + '\n';
+}
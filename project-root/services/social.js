@@ -1,5 +1,12 @@
 import fetch from 'node-fetch';
 
+// Platforms posts are written for, with their post length limits
+export const socialPlatforms = {
+    twitter: { label: "X (Twitter)", maxLength: 280 },
+    facebook: { label: "Facebook", maxLength: 500 },
+    linkedin: { label: "LinkedIn", maxLength: 700 }
+};
+
 /**
  * Post a message to selected social network
  */
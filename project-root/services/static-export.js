@@ -0,0 +1,330 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import ejs from "ejs";
+import AdmZip from "adm-zip";
+import * as cheerio from "cheerio";
+import StaticExport from "../models/StaticExport.js";
+import LandingPage from "../models/LandingPage.js";
+import Tenant from "../models/Tenant.js";
+import { livePageFilter } from "./workflow.js";
+import { getTenantLanguages } from "../middleware/tenant.js";
+import { getPageAlternates } from "./pages.js";
+import { buildPageView } from "./page-view.js";
+import { writeSitemap, countSitemapChunks, buildSitemapIndex, buildRobotsTxt } from "./sitemap.js";
+import { renderShareImage } from "./share-images.js";
+import { fetchRemoteAsset } from "./remote-assets.js";
+import settings from "../config/settings.js";
+import { logger } from "./logger.js";
+
+const VIEWS_DIR = path.resolve("views");
+const PUBLIC_DIR = path.resolve("public");
+const FETCH_TIMEOUT = 10000;
+
+/**
+ * Render a view the way the app does, including its layout('...') call
+ */
+async function renderView(view, locals) {
+    let layoutName = null;
+    let layoutLocals = {};
+    const layout = (name, extra = {}) => {
+        layoutName = name;
+        layoutLocals = extra;
+    };
+
+    const body = await ejs.renderFile(path.join(VIEWS_DIR, `${view}.ejs`), { ...locals, layout });
+    if (!layoutName) return body;
+    return ejs.renderFile(path.join(VIEWS_DIR, `${layoutName}.ejs`), { ...locals, ...layoutLocals, body });
+}
+
+// Directory name of a URL segment: decoded, without path separators or dot-only names
+function safeSegment(segment) {
+    const name = decodeURIComponent(segment).replace(/[\/\\:*?"<>|\x00-\x1f]/g, '-');
+    return /^\.+$/.test(name) ? '_' : name;
+}
+
+// Zip entry of a page URL path: /market/a/b/c/d -> market/a/b/c/d/index.html
+function pageEntry(urlPath) {
+    return [...urlPath.split('/').filter(Boolean).map(safeSegment), 'index.html'].join('/');
+}
+
+// When a page last changed for the export: content edits and status or window
+// changes touch updatedAt, going live through publishAt does not
+function lastChangedAt(page) {
+    return new Date(Math.max(...[page.updatedAt, page.publishAt, page.publishedAt]
+        .filter(Boolean)
+        .map(date => new Date(date).getTime())));
+}
+
+// Relative, URL-encoded link from one zip entry to another
+function relativeHref(fromEntry, toEntry) {
+    const rel = path.posix.relative(path.posix.dirname(fromEntry), toEntry);
+    return rel.split('/').map(part => (part === '..' ? part : encodeURIComponent(part))).join('/');
+}
+
+class StaticExportService {
+    constructor() {
+        this.exportPath = path.resolve(settings.staticExport.dir);
+    }
+
+    /**
+     * Queue an export and start it in the background
+     * @param {string|null} tenantId - null exports platform pages
+     * @param {Object} options - { incremental, baseUrl, requestedBy }
+     */
+    async requestExport(tenantId, options = {}) {
+        const record = await this.createExport(tenantId, options);
+        this.runExport(record).catch(() => {
+            // already recorded on the export and logged
+        });
+        return record;
+    }
+
+    async createExport(tenantId, { incremental = false, baseUrl = null, requestedBy = null } = {}) {
+        const tenant = tenantId ? await Tenant.findById(tenantId).lean() : null;
+        if (tenantId && !tenant) {
+            const error = new Error('Tenant not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const origin = baseUrl || (tenant?.domain ? `https://${tenant.domain}` : settings.baseUrl);
+        return StaticExport.create({
+            tenant: tenant?._id || null,
+            incremental,
+            baseUrl: origin.replace(/\/+$/, ''),
+            requestedBy
+        });
+    }
+
+    async listExports(limit = 20) {
+        return StaticExport.find()
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .select('-livePaths')
+            .populate('tenant', 'name domain')
+            .lean();
+    }
+
+    async getExport(exportId) {
+        return StaticExport.findById(exportId).lean();
+    }
+
+    getExportFile(record) {
+        return record.filename ? path.join(this.exportPath, record.filename) : null;
+    }
+
+    /**
+     * Render every published page version of the tenant into a zip.
+     * Incremental exports only contain pages changed or gone live since the last
+     * completed export; sitemap.xml and robots.txt always describe the whole site.
+     * manifest.json lists every live page file and the ones to delete since the
+     * last export, so a copy of the site can be brought in line with it.
+     */
+    async runExport(record) {
+        const startedAt = new Date();
+        await StaticExport.updateOne({ _id: record._id }, { status: 'running', startedAt });
+
+        try {
+            const tenant = record.tenant ? await Tenant.findById(record.tenant).lean() : null;
+            const previous = await this.lastExport(record.tenant);
+            const since = record.incremental ? previous?.startedAt || null : null;
+            const filter = { ...livePageFilter(startedAt), tenant: record.tenant };
+            const languages = getTenantLanguages(tenant).map(l => l.code);
+
+            // Every live URL is a valid link target, even when its page is not re-exported
+            const livePages = await LandingPage.find(filter)
+                .select('industry lang location type localizedPaths updatedAt publishAt publishedAt')
+                .lean();
+            const liveEntries = new Map();
+            for (const page of livePages) {
+                for (const version of getPageAlternates(page, languages)) {
+                    liveEntries.set(version.path, pageEntry(version.path));
+                }
+            }
+
+            const changedIds = livePages
+                .filter(page => !since || lastChangedAt(page) > since)
+                .map(page => page._id);
+            // Page URLs live at the last export that are gone now (unpublished, archived, moved)
+            const livePaths = [...liveEntries.keys()].sort();
+            const removed = (previous?.livePaths || [])
+                .filter(urlPath => !liveEntries.has(urlPath))
+                .map(pageEntry);
+
+            const zip = new AdmZip();
+            const assets = new Map(); // zip entry -> source (file path or URL)
+            let pageCount = 0;
+
+            for (const pageId of changedIds) {
+                const page = await LandingPage.findById(pageId).lean();
+                for (const version of getPageAlternates(page, languages)) {
+                    const entry = pageEntry(version.path);
+                    const html = await this.renderPage(page, version.lang, { tenant, baseUrl: record.baseUrl, entry, liveEntries, assets, zip });
+                    zip.addFile(entry, Buffer.from(html));
+                }
+                pageCount++;
+            }
+
+            await this.addAssets(zip, assets);
+            await this.addSiteFiles(zip, tenant, record.baseUrl, startedAt);
+            zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+                tenant: record.tenant,
+                baseUrl: record.baseUrl,
+                incremental: record.incremental,
+                since,
+                generatedAt: startedAt,
+                pages: pageCount,
+                live: livePaths.map(urlPath => liveEntries.get(urlPath)),
+                removed
+            }, null, 2)));
+
+            fs.mkdirSync(this.exportPath, { recursive: true });
+            const timestamp = startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+            const filename = `export_${record.tenant || 'platform'}_${timestamp}${record.incremental ? '_incremental' : ''}.zip`;
+            const filepath = path.join(this.exportPath, filename);
+            await zip.writeZipPromise(filepath);
+
+            const result = {
+                status: 'completed',
+                since,
+                completedAt: new Date(),
+                filename,
+                size: fs.statSync(filepath).size,
+                pageCount,
+                fileCount: zip.getEntries().length,
+                livePaths
+            };
+            await StaticExport.updateOne({ _id: record._id }, result);
+
+            logger.info('Static export completed', {
+                exportId: record._id,
+                tenantId: record.tenant,
+                ...result,
+                livePaths: livePaths.length,
+                removed: removed.length
+            });
+            return StaticExport.findById(record._id).lean();
+
+        } catch (error) {
+            await StaticExport.updateOne({ _id: record._id }, { status: 'failed', error: error.message, completedAt: new Date() });
+            logger.error('Static export failed', { exportId: record._id, tenantId: record.tenant, error: error.message });
+            throw error;
+        }
+    }
+
+    // The tenant's last completed export: pages changed after its start are re-exported
+    async lastExport(tenantId) {
+        return StaticExport.findOne({ tenant: tenantId, status: 'completed' })
+            .sort({ completedAt: -1 })
+            .select('startedAt livePaths')
+            .lean();
+    }
+
+    /**
+     * Render one page version and make all of its site links relative to the zip entry
+     */
+    async renderPage(page, lang, { tenant, baseUrl, entry, liveEntries, assets, zip }) {
+        const view = buildPageView(page, { tenant, lang, siteUrl: baseUrl });
+        const html = await renderView(view.templateView, {
+            ...view,
+            previewTranslations: false,
+            user: null,
+            VAPID_PUBLIC_KEY: ''
+        });
+        const $ = cheerio.load(html);
+
+        // Static hosting has no admin area, push endpoint or service worker
+        $('.admin-menu').remove();
+        $('script:not([type="application/ld+json"])').remove();
+
+        // Remote hero images are bundled so the export does not depend on them
+        if (page.imageUrl && /^https?:\/\//.test(page.imageUrl)) {
+            const imageEntry = `assets/images/${crypto.createHash('sha1').update(page.imageUrl).digest('hex')}${path.extname(new URL(page.imageUrl).pathname) || '.png'}`;
+            assets.set(imageEntry, page.imageUrl);
+            $('img').filter((_, el) => el.attribs.src === page.imageUrl).attr('src', relativeHref(entry, imageEntry));
+        }
+
+        // og:image points at the share image bundled next to the page
+        try {
+            const shareFile = await renderShareImage(page, tenant, lang);
+            const shareEntry = `share-images/${page._id}/${lang}.png`;
+            zip.addFile(shareEntry, fs.readFileSync(shareFile));
+            $('meta[property="og:image"], meta[name="twitter:image"]').attr('content', `${baseUrl}/${shareEntry}`);
+        } catch (error) {
+            logger.warn('Share image skipped in static export', { pageId: page._id, lang, error: error.message });
+            $('meta[property^="og:image"], meta[name="twitter:image"]').remove();
+            $('meta[name="twitter:card"]').attr('content', 'summary');
+        }
+
+        $('a[href], link[rel="stylesheet"][href], link[rel="icon"][href], img[src], source[src]').each((_, el) => {
+            const attr = el.attribs.href !== undefined ? 'href' : 'src';
+            const value = $(el).attr(attr);
+            if (!value.startsWith('/') || value.startsWith('//')) return;
+
+            const urlPath = value.split(/[?#]/)[0];
+            if (liveEntries.has(urlPath)) {
+                $(el).attr(attr, relativeHref(entry, liveEntries.get(urlPath)));
+                return;
+            }
+
+            let file;
+            try {
+                file = path.join(PUBLIC_DIR, decodeURIComponent(urlPath));
+            } catch {
+                file = '';
+            }
+            if (file.startsWith(PUBLIC_DIR + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile()) {
+                const assetEntry = urlPath.slice(1);
+                assets.set(assetEntry, file);
+                $(el).attr(attr, relativeHref(entry, assetEntry));
+                return;
+            }
+
+            // Server-only URL (e.g. a page version that is not live): drop the link
+            $(el).removeAttr(attr);
+        });
+
+        return $.html();
+    }
+
+    async addAssets(zip, assets) {
+        for (const [entry, source] of assets) {
+            if (!/^https?:\/\//.test(source)) {
+                zip.addFile(entry, fs.readFileSync(source));
+                continue;
+            }
+
+            // Tenant-controlled URLs: public addresses only, size-capped
+            try {
+                zip.addFile(entry, await fetchRemoteAsset(source, { timeout: FETCH_TIMEOUT }));
+            } catch (error) {
+                logger.warn('Static export asset could not be downloaded', { url: source, error: error.message });
+            }
+        }
+    }
+
+    // sitemap(s) and robots.txt for the exported origin
+    async addSiteFiles(zip, tenant, baseUrl, now) {
+        const collect = async (chunk) => {
+            const parts = [];
+            await writeSitemap({ write: part => parts.push(part) }, { tenant, siteUrl: baseUrl, chunk, now });
+            return Buffer.from(parts.join(''));
+        };
+
+        const chunks = await countSitemapChunks(tenant, now);
+        if (chunks > 1) {
+            zip.addFile('sitemap.xml', Buffer.from(buildSitemapIndex(baseUrl, chunks, now)));
+            for (let chunk = 1; chunk <= chunks; chunk++) {
+                zip.addFile(`sitemap-${chunk}.xml`, await collect(chunk));
+            }
+        } else {
+            zip.addFile('sitemap.xml', await collect(1));
+        }
+
+        zip.addFile('robots.txt', Buffer.from(buildRobotsTxt(tenant, baseUrl)));
+    }
+}
+
+export const staticExportService = new StaticExportService();
+export default staticExportService;
@@ -0,0 +1,106 @@
+// File storage backends for the media library. Both store immutable objects
+// under a key ("media/<tenant>/<asset>/<file>") and know their public URL.
+// Backend interface: { name, put(key, body, { contentType }), delete(key), url(key) }
+
+import fs from "fs/promises";
+import path from "path";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import settings from "../config/settings.js";
+
+// Keys embed ids, so stored objects never change and may be cached forever
+const IMMUTABLE = "public, max-age=31536000, immutable";
+
+function assertKey(key) {
+    if (!/^[a-z0-9][a-z0-9/_.-]*$/i.test(key) || key.split("/").some(part => part === ".." || part === "")) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+/**
+ * Files on the local disk, served by express.static (dir must be inside public/)
+ */
+export class LocalStorage {
+    constructor({ dir, baseUrl }) {
+        this.name = "local";
+        this.dir = path.resolve(dir);
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+    }
+
+    async put(key, body) {
+        assertKey(key);
+        const file = path.join(this.dir, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+    }
+
+    async delete(key) {
+        assertKey(key);
+        await fs.rm(path.join(this.dir, key), { force: true });
+    }
+
+    url(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+/**
+ * Objects in an S3 bucket; endpoint and forcePathStyle select S3-compatible services
+ */
+export class S3Storage {
+    constructor({ bucket, region, endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, publicUrl }) {
+        if (!bucket) throw new Error("S3 storage needs a bucket (S3_BUCKET)");
+
+        this.name = "s3";
+        this.bucket = bucket;
+        this.client = new S3Client({
+            region,
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+
+        if (publicUrl) {
+            this.publicUrl = publicUrl.replace(/\/$/, "");
+        } else if (endpoint) {
+            this.publicUrl = forcePathStyle
+                ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+                : endpoint.replace(/^(https?:\/\/)/, `$1${bucket}.`).replace(/\/$/, "");
+        } else {
+            this.publicUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+        }
+    }
+
+    async put(key, body, { contentType } = {}) {
+        assertKey(key);
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            CacheControl: IMMUTABLE
+        }));
+    }
+
+    async delete(key) {
+        assertKey(key);
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    url(key) {
+        return `${this.publicUrl}/${key}`;
+    }
+}
+
+/**
+ * Backend for a media config (settings.media)
+ */
+export function createStorage(config = settings.media) {
+    switch (config.storage) {
+        case "local":
+            return new LocalStorage(config.local);
+        case "s3":
+            return new S3Storage(config.s3);
+        default:
+            throw new Error(`Unknown media storage: ${config.storage}`);
+    }
+}
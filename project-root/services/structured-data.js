@@ -0,0 +1,198 @@
+// JSON-LD structured data for landing pages, chosen by industry and validated
+// against the bundled definitions in config/structured-data.js before render.
+
+import definitions from "../config/structured-data.js";
+import { getFaqItems } from "./sections.js";
+import { logger } from "./logger.js";
+
+const SCHEMA_CONTEXT = "https://schema.org";
+
+function absoluteUrl(siteUrl, url) {
+    if (!url) return undefined;
+    return /^https?:\/\//.test(url) ? url : siteUrl + (url.startsWith('/') ? url : `/${url}`);
+}
+
+// Industry-specific main entity of the page
+const INDUSTRY_BUILDERS = {
+    real_estate: ({ page, url, name, description, image, lang, location }) => ({
+        "@type": "RealEstateListing",
+        name,
+        url,
+        description,
+        image,
+        inLanguage: lang,
+        datePosted: page.publishedAt ? new Date(page.publishedAt).toISOString() : undefined,
+        offers: {
+            "@type": "Offer",
+            url,
+            availability: "https://schema.org/InStock",
+            areaServed: { "@type": "Place", name: location }
+        }
+    }),
+
+    tourism: ({ url, name, description, image, lang, location, type }) => ({
+        "@type": "TouristTrip",
+        name,
+        url,
+        description,
+        image,
+        inLanguage: lang,
+        touristType: type,
+        itinerary: {
+            "@type": "ItemList",
+            itemListElement: [{ "@type": "TouristAttraction", name: location }]
+        }
+    })
+};
+
+const defaultBuilder = ({ url, name, description, lang }) => ({
+    "@type": "WebPage",
+    name,
+    url,
+    description,
+    inLanguage: lang
+});
+
+/**
+ * Build the JSON-LD nodes for a page
+ * @param {Object} page - LandingPage (lean)
+ * @param {Object} ctx - { siteUrl, url, siteName, tenant, lang, location, type, title, description }
+ * @returns {Object[]} schema.org nodes without @context
+ */
+export function buildStructuredData(page, ctx) {
+    const { siteUrl, url, siteName, tenant, lang, location, type, title, description } = ctx;
+    const builder = INDUSTRY_BUILDERS[page.industry] || defaultBuilder;
+
+    const nodes = [
+        {
+            "@type": "Organization",
+            name: siteName,
+            url: siteUrl,
+            logo: absoluteUrl(siteUrl, tenant?.logoUrl)
+        },
+        {
+            "@type": "BreadcrumbList",
+            itemListElement: [
+                { "@type": "ListItem", position: 1, name: siteName, item: siteUrl },
+                { "@type": "ListItem", position: 2, name: title, item: url }
+            ]
+        },
+        builder({
+            page,
+            url,
+            name: title,
+            description,
+            image: absoluteUrl(siteUrl, page.imageUrl),
+            lang,
+            location,
+            type
+        })
+    ];
+
+    // Questions of the page's FAQ sections shown on this language version
+    const faq = getFaqItems(page, lang);
+    if (faq.length) {
+        nodes.push({
+            "@type": "FAQPage",
+            inLanguage: lang,
+            mainEntity: faq.map(item => ({
+                "@type": "Question",
+                name: item.question,
+                acceptedAnswer: { "@type": "Answer", text: item.answer }
+            }))
+        });
+    }
+
+    return nodes;
+}
+
+function checkValue(value, expected, path, errors) {
+    if (expected.endsWith('[]')) {
+        if (!Array.isArray(value) || value.length === 0) {
+            errors.push(`${path} must be a non-empty array`);
+            return;
+        }
+        value.forEach((item, i) => checkValue(item, expected.slice(0, -2), `${path}[${i}]`, errors));
+        return;
+    }
+
+    switch (expected) {
+        case 'text':
+            if (typeof value !== 'string' || !value.trim()) errors.push(`${path} must be non-empty text`);
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path} must be a number`);
+            break;
+        case 'url':
+            if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value)) errors.push(`${path} must be an absolute URL`);
+            break;
+        case 'date':
+            if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) errors.push(`${path} must be an ISO date`);
+            break;
+        default:
+            validateNode(value, path, errors, expected);
+    }
+}
+
+function validateNode(node, path, errors, expectedType) {
+    if (!node || typeof node !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+
+    const type = node["@type"];
+    const definition = definitions[type];
+    if (!definition) {
+        errors.push(`${path} has unknown @type '${type}'`);
+        return;
+    }
+    if (expectedType && type !== expectedType) {
+        errors.push(`${path} must be a ${expectedType}, got ${type}`);
+        return;
+    }
+
+    for (const prop of definition.required) {
+        if (node[prop] === undefined || node[prop] === null) {
+            errors.push(`${path}.${prop} is required for ${type}`);
+        }
+    }
+    for (const [prop, value] of Object.entries(node)) {
+        if (prop === '@type' || value === undefined) continue;
+        const expected = definition.properties[prop];
+        if (!expected) {
+            errors.push(`${path}.${prop} is not a known ${type} property`);
+            continue;
+        }
+        checkValue(value, expected, `${path}.${prop}`, errors);
+    }
+}
+
+/**
+ * Validate nodes against the bundled definitions
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateStructuredData(nodes) {
+    const errors = [];
+    nodes.forEach((node, i) => validateNode(node, `@graph[${i}]`, errors));
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build, validate and serialize a page's JSON-LD for a <script> tag.
+ * Invalid nodes are dropped (and logged) rather than shipped to search engines.
+ * @returns {string|null} JSON safe to embed unescaped, or null when nothing is valid
+ */
+export function renderStructuredData(page, ctx) {
+    const graph = buildStructuredData(page, ctx).filter(node => {
+        const { valid, errors } = validateStructuredData([node]);
+        if (!valid) {
+            logger.warn('Invalid structured data dropped', { pageId: page._id, type: node["@type"], errors });
+        }
+        return valid;
+    });
+
+    if (!graph.length) return null;
+
+    // Escape '<' so page content can never close the surrounding <script>
+    return JSON.stringify({ "@context": SCHEMA_CONTEXT, "@graph": graph }).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,90 @@
+// Landing page templates (config/templates.js): which view and default sections
+// a page renders with. Precedence: the page's own choice, the tenant's default
+// for the industry, the platform default for the industry, then "standard".
+
+import { templates, industryDefaults, DEFAULT_TEMPLATE } from "../config/templates.js";
+import { defaultSections } from "./sections.js";
+import { getTenantIndustries } from "../middleware/tenant.js";
+
+export const TEMPLATE_KEYS = Object.keys(templates);
+
+/**
+ * Whether a template exists and suits the industry
+ */
+export function supportsIndustry(key, industry) {
+    const template = templates[key];
+    return !!template && (!template.industries || template.industries.includes(industry));
+}
+
+export function getTemplate(key) {
+    const template = templates[key] || templates[DEFAULT_TEMPLATE];
+    return { key: templates[key] ? key : DEFAULT_TEMPLATE, ...template };
+}
+
+/**
+ * Templates a page of the industry can use, industry-specific ones first
+ */
+export function getTemplatesForIndustry(industry) {
+    return TEMPLATE_KEYS
+        .filter(key => supportsIndustry(key, industry))
+        .map(getTemplate)
+        .sort((a, b) => Number(!a.industries) - Number(!b.industries));
+}
+
+/**
+ * Template new pages of an industry get on the tenant's sites
+ */
+export function getTenantTemplate(tenant, industry) {
+    // Map on Tenant documents, plain object on lean ones
+    const choices = tenant?.pageTemplates;
+    const chosen = choices instanceof Map ? choices.get(industry) : choices?.[industry];
+    if (supportsIndustry(chosen, industry)) return chosen;
+    const platformDefault = industryDefaults[industry];
+    return supportsIndustry(platformDefault, industry) ? platformDefault : DEFAULT_TEMPLATE;
+}
+
+/**
+ * Template a page renders with
+ * @param {Object} page - LandingPage (or page identity) with industry and optional template
+ */
+export function resolvePageTemplate(page, tenant) {
+    return supportsIndustry(page.template, page.industry) ? page.template : getTenantTemplate(tenant, page.industry);
+}
+
+/**
+ * Default sections of a template, for pages that have none of their own
+ */
+export function templateSections(key) {
+    const template = getTemplate(key);
+    return defaultSections(template.sections)
+        .map(section => ({ ...section, data: { ...template.sectionData?.[section.type] } }));
+}
+
+/**
+ * Sections a page gets when it switches to a template and resets its layout:
+ * the template's defaults, keeping generated FAQ sections in place of its FAQ slot
+ */
+export function applyTemplateSections(sections = [], key) {
+    const generated = sections.filter(section => section.type === "faq" && section.source === "ai");
+    const defaults = templateSections(key).filter(section => !generated.length || section.type !== "faq");
+    if (!generated.length) return defaults;
+
+    // Where the template puts its FAQ, otherwise right after the hero
+    const order = getTemplate(key).sections;
+    const slot = order.includes("faq") ? order.indexOf("faq") : 1;
+    const at = defaults.filter(section => order.indexOf(section.type) < slot).length;
+    return [...defaults.slice(0, at), ...generated, ...defaults.slice(at)];
+}
+
+/**
+ * Industries a tenant publishes pages for, with their template choices
+ */
+export function getTenantIndustryTemplates(tenant) {
+    return getTenantIndustries(tenant)
+        .map(industry => ({
+            key: industry.key,
+            name: industry.name.en,
+            selected: getTenantTemplate(tenant, industry.key),
+            templates: getTemplatesForIndustry(industry.key)
+        }));
+}
@@ -0,0 +1,183 @@
+// Tenant site themes: palette, fonts, shape and dark mode rendered as CSS custom
+// properties (consumed by public/css/style.css), plus sanitized custom CSS.
+// Palettes are checked against WCAG 2.1 AA contrast before they are saved.
+
+import { fonts, buttonStyles, darkModes, defaultTheme, darkSurface, MAX_CUSTOM_CSS } from "../config/themes.js";
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// WCAG 2.1 AA: normal text 4.5:1; large text and UI components 3:1
+export const AA_TEXT = 4.5;
+export const AA_NON_TEXT = 3;
+
+function validColor(value, fallback) {
+    return HEX_COLOR.test(value || "") ? value.toLowerCase() : fallback;
+}
+
+/**
+ * Effective theme of a tenant (lean), with platform defaults for anything unset.
+ * Tenants from before the theme editor only have primaryColor.
+ */
+export function getTheme(tenant) {
+    const saved = tenant?.theme || {};
+    const palette = saved.palette || {};
+    return {
+        palette: {
+            primary: validColor(palette.primary || tenant?.primaryColor, defaultTheme.palette.primary),
+            secondary: validColor(palette.secondary, defaultTheme.palette.secondary),
+            background: validColor(palette.background, defaultTheme.palette.background),
+            text: validColor(palette.text, defaultTheme.palette.text)
+        },
+        headingFont: fonts[saved.headingFont] ? saved.headingFont : defaultTheme.headingFont,
+        bodyFont: fonts[saved.bodyFont] ? saved.bodyFont : defaultTheme.bodyFont,
+        borderRadius: Number.isInteger(saved.borderRadius) ? saved.borderRadius : defaultTheme.borderRadius,
+        buttonStyle: buttonStyles.includes(saved.buttonStyle) ? saved.buttonStyle : defaultTheme.buttonStyle,
+        darkMode: darkModes.includes(saved.darkMode) ? saved.darkMode : defaultTheme.darkMode,
+        customCss: saved.customCss || ""
+    };
+}
+
+function toRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+    return `#${rgb.map(v => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Relative luminance as defined by WCAG 2.1
+function luminance(hex) {
+    const [r, g, b] = toRgb(hex)
+        .map(v => v / 255)
+        .map(v => (v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(foreground, background) {
+    const [lighter, darker] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Label colour for text on a coloured surface: whichever of white or near-black contrasts more
+ */
+export function contrastingText(background) {
+    return contrastRatio("#ffffff", background) >= contrastRatio("#111111", background) ? "#ffffff" : "#111111";
+}
+
+/**
+ * Mix a colour towards white (dark backgrounds) or black until it meets the ratio
+ */
+export function ensureContrast(color, background, minimum) {
+    const target = luminance(background) < 0.5 ? [255, 255, 255] : [0, 0, 0];
+    const from = toRgb(color);
+    for (let step = 0; step <= 20; step++) {
+        const mixed = toHex(from.map((v, i) => v + (target[i] - v) * (step / 20)));
+        if (contrastRatio(mixed, background) >= minimum) return mixed;
+    }
+    return toHex(target);
+}
+
+// Palette used while dark mode is active
+function darkPalette(palette) {
+    return {
+        primary: ensureContrast(palette.primary, darkSurface.background, AA_TEXT),
+        secondary: ensureContrast(palette.secondary, darkSurface.background, AA_NON_TEXT),
+        background: darkSurface.background,
+        text: darkSurface.text
+    };
+}
+
+function paletteChecks(palette, mode) {
+    const checks = [
+        { label: "Body text", foreground: palette.text, background: palette.background, required: AA_TEXT },
+        { label: "Links", foreground: palette.primary, background: palette.background, required: AA_TEXT },
+        { label: "Button and header text", foreground: contrastingText(palette.primary), background: palette.primary, required: AA_TEXT },
+        { label: "Accents and borders", foreground: palette.secondary, background: palette.background, required: AA_NON_TEXT }
+    ];
+    return checks.map(check => {
+        const ratio = contrastRatio(check.foreground, check.background);
+        return { ...check, mode, ratio: Math.round(ratio * 100) / 100, passes: ratio >= check.required };
+    });
+}
+
+/**
+ * WCAG AA contrast checks of a theme's colour pairs, for light and (if enabled) dark mode
+ * @returns {Array<{ label, mode, foreground, background, ratio, required, passes }>}
+ */
+export function checkThemeContrast(theme) {
+    const checks = theme.darkMode === "on" ? [] : paletteChecks(theme.palette, "light");
+    if (theme.darkMode !== "off") {
+        checks.push(...paletteChecks(darkPalette(theme.palette), "dark"));
+    }
+    return checks;
+}
+
+/**
+ * Custom CSS safe to inline in a <style> element: no markup, imports, scripts,
+ * legacy expression/binding hooks, or url() outside https and the site itself.
+ * Backslash escapes are dropped because they can spell out blocked words.
+ */
+export function sanitizeCustomCss(css = "") {
+    return String(css)
+        .slice(0, MAX_CUSTOM_CSS)
+        .replace(/\/\*[\s\S]*?(\*\/|$)/g, "")
+        .replace(/[\\<]/g, "")
+        .replace(/@(import|charset|namespace)\b[^;]*;?/gi, "")
+        .replace(/(expression\s*\(|javascript\s*:|vbscript\s*:|behavior\s*:|-moz-binding\s*:)/gi, "")
+        .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => (/^(https:\/\/|\/(?!\/))/i.test(url) ? match : "none"))
+        .trim();
+}
+
+/**
+ * Theme from the (validated) editor form fields
+ */
+export function parseThemeInput(body) {
+    return {
+        palette: {
+            primary: body.primaryColor.toLowerCase(),
+            secondary: body.secondaryColor.toLowerCase(),
+            background: body.backgroundColor.toLowerCase(),
+            text: body.textColor.toLowerCase()
+        },
+        headingFont: body.headingFont,
+        bodyFont: body.bodyFont,
+        borderRadius: body.borderRadius,
+        buttonStyle: body.buttonStyle,
+        darkMode: body.darkMode,
+        customCss: sanitizeCustomCss(body.customCss || "")
+    };
+}
+
+function paletteVariables(palette) {
+    return [
+        `--primary-color: ${palette.primary};`,
+        `--primary-contrast: ${contrastingText(palette.primary)};`,
+        `--secondary-color: ${palette.secondary};`,
+        `--background-color: ${palette.background};`,
+        `--font-color: ${palette.text};`
+    ].join(" ");
+}
+
+/**
+ * Stylesheet of a theme: custom properties, dark mode overrides and custom CSS
+ */
+export function buildThemeCss(theme) {
+    const outline = theme.buttonStyle === "outline";
+    const rules = [
+        `:root { ${paletteVariables(theme.palette)}`
+        + ` --heading-font: ${fonts[theme.headingFont].stack};`
+        + ` --body-font: ${fonts[theme.bodyFont].stack};`
+        + ` --border-radius: ${theme.borderRadius}px;`
+        + ` --button-radius: ${theme.buttonStyle === "pill" ? "999px" : "var(--border-radius)"};`
+        + ` --button-background: ${outline ? "transparent" : "var(--primary-color)"};`
+        + ` --button-color: ${outline ? "var(--primary-color)" : "var(--primary-contrast)"}; }`
+    ];
+
+    const dark = `:root { ${paletteVariables(darkPalette(theme.palette))} color-scheme: dark; }`;
+    if (theme.darkMode === "on") rules.push(dark);
+    if (theme.darkMode === "auto") rules.push(`@media (prefers-color-scheme: dark) { ${dark} }`);
+
+    if (theme.customCss) rules.push(theme.customCss);
+    return rules.join("\n");
+}
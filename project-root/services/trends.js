@@ -125,7 +125,7 @@ class TrendsService {
 
             // Extract top queries
             if (data.default?.rankedList?.[0]?.rankedKeyword) {
-                data.default.rankedList.rankedKeyword.forEach(item => {
+                data.default.rankedList[0].rankedKeyword.forEach(item => {
                     relatedQueries.push({
                         query: item.query,
                         value: item.value,
@@ -136,7 +136,7 @@ class TrendsService {
 
             // Extract rising queries
             if (data.default?.rankedList?.[1]?.rankedKeyword) {
-                data.default.rankedList.rankedKeyword.forEach(item => {
+                data.default.rankedList[1].rankedKeyword.forEach(item => {
                     relatedQueries.push({
                         query: item.query,
                         value: item.value,
@@ -276,7 +276,7 @@ class TrendsService {
         const secondHalf = timelineData.slice(Math.floor(timelineData.length / 2));
 
         const firstAvg = firstHalf.reduce((sum, point) => sum + (point.value?.[0] || 0), 0) / firstHalf.length;
-        const secondAvg = secondHalf.reduce((sum, point) => sum + (point.value?. || 0), 0) / secondHalf.length;
+        const secondAvg = secondHalf.reduce((sum, point) => sum + (point.value?.[0] || 0), 0) / secondHalf.length;
 
         const changePercent = ((secondAvg - firstAvg) / firstAvg) * 100;
 
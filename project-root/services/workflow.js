@@ -0,0 +1,282 @@
+import LandingPage from "../models/LandingPage.js";
+import { saveToCache } from "./cache.js";
+import { cdnService } from "./cdn.js";
+import { logger } from "./logger.js";
+
+// Editorial workflow for landing pages:
+// draft -> in_review -> approved -> published -> archived
+export const PAGE_STATES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+// Roles that staff the editorial workflow (and may preview unpublished pages)
+export const EDITORIAL_ROLES = ['admin', 'editor', 'marketer'];
+
+// from -> to -> roles allowed to make that move
+const TRANSITIONS = {
+    draft: {
+        in_review: ['admin', 'editor', 'marketer'],
+        archived: ['admin']
+    },
+    in_review: {
+        draft: ['admin', 'editor', 'marketer'], // withdraw / request changes
+        approved: ['admin', 'marketer']
+    },
+    approved: {
+        published: ['admin', 'marketer'],
+        draft: ['admin', 'marketer']
+    },
+    published: {
+        archived: ['admin', 'marketer'],
+        draft: ['admin']
+    },
+    archived: {
+        draft: ['admin', 'editor']
+    }
+};
+
+/**
+ * Statuses a role may move a page to from its current status
+ */
+export function allowedTransitions(fromStatus, role) {
+    return Object.entries(TRANSITIONS[fromStatus] || {})
+        .filter(([, roles]) => roles.includes(role))
+        .map(([to]) => to);
+}
+
+export function canTransition(fromStatus, toStatus, role) {
+    return allowedTransitions(fromStatus, role).includes(toStatus);
+}
+
+/**
+ * Whether a user may see a page that is not published yet:
+ * editorial staff, or members of the tenant that owns the page
+ */
+export function canPreview(user, page) {
+    if (!user) return false;
+    if (EDITORIAL_ROLES.includes(user.role)) return true;
+    return !!(page.tenant && user.tenantId && page.tenant.toString() === user.tenantId.toString());
+}
+
+/**
+ * Move a page to a new status, logging the transition as a comment.
+ * Throws a 403/409 error (statusCode set) when the move is not allowed.
+ */
+export async function transitionPage(pageId, toStatus, user, comment = '') {
+    const page = await LandingPage.findById(pageId);
+    if (!page) return null;
+
+    const fromStatus = page.status;
+    if (!canTransition(fromStatus, toStatus, user.role)) {
+        const error = new Error(`Role '${user.role}' cannot move a page from ${fromStatus} to ${toStatus}`);
+        // 403 when another role could make this move, 409 when the move does not exist at all
+        error.statusCode = TRANSITIONS[fromStatus]?.[toStatus] ? 403 : 409;
+        throw error;
+    }
+
+    return applyTransition(page, toStatus, user, comment);
+}
+
+// Statuses that mean an editor has taken the page over from on-demand generation
+const REVIEWED_STATES = ['in_review', 'approved', 'published'];
+
+// Persist a status change on a LandingPage document and refresh its cache entry
+async function applyTransition(page, toStatus, actor, comment = '') {
+    const fromStatus = page.status;
+
+    page.status = toStatus;
+    if (toStatus === 'published') {
+        page.publishedAt = new Date();
+    }
+    // Reviewed copy must not be replaced by a background refresh (services/page-generation.js)
+    if (REVIEWED_STATES.includes(toStatus)) {
+        page.generatedOnDemand = false;
+    }
+    page.comments.push({
+        author: actor._id || null,
+        authorName: actor.username,
+        body: comment,
+        fromStatus,
+        toStatus
+    });
+    await page.save();
+
+    const saved = page.toObject();
+    saveToCache(saved.key, saved);
+    cdnService.purgePage(saved);
+
+    logger.info('Landing page status changed', {
+        pageId: saved._id,
+        fromStatus,
+        toStatus,
+        userId: actor._id || null,
+        role: actor.role
+    });
+
+    return saved;
+}
+
+// Statuses in which a page's content has been signed off by reviewers
+const SIGNED_OFF_STATES = ['approved', 'published'];
+
+/**
+ * Send a signed-off page back to review before it is changed outside the workflow
+ * (e.g. a tenant editing its layout), so the change goes live only once approved
+ * again. Pages in other statuses are left as they are.
+ * @returns {Promise<Object|null>} the page, or null when it does not exist
+ */
+export async function returnToReview(pageId, user, comment) {
+    const page = await LandingPage.findById(pageId);
+    if (!page) return null;
+    if (!SIGNED_OFF_STATES.includes(page.status)) return page.toObject();
+
+    return applyTransition(page, 'in_review', user, comment);
+}
+
+/**
+ * Add a reviewer comment without changing status
+ */
+export async function addPageComment(pageId, user, body) {
+    const page = await LandingPage.findByIdAndUpdate(
+        pageId,
+        { $push: { comments: { author: user._id, authorName: user.username, body } } },
+        { new: true, lean: true }
+    );
+    if (page) {
+        saveToCache(page.key, page);
+    }
+    return page;
+}
+
+/**
+ * Pages waiting on reviewers: submitted for review or approved but not yet live
+ */
+export async function getReviewQueue() {
+    return LandingPage.find({ status: { $in: ['in_review', 'approved'] } })
+        .sort({ updatedAt: 1 })
+        .lean();
+}
+
+// Actor recorded on transitions made by the scheduler
+const SCHEDULER_ACTOR = { _id: null, username: 'scheduler', role: 'system' };
+
+/**
+ * Where "now" falls in a page's publication window:
+ * 'pending' before publishAt, 'expired' after unpublishAt, otherwise 'live'
+ */
+export function getScheduleState(page, now = new Date()) {
+    if (page.unpublishAt && new Date(page.unpublishAt) <= now) return 'expired';
+    if (page.publishAt && new Date(page.publishAt) > now) return 'pending';
+    return 'live';
+}
+
+/**
+ * Whether the public may see a page right now. Decided from the publication window
+ * as well as the status: the scheduler runs in the cron process and cannot refresh
+ * this process's page cache, so a cached page may still be 'approved' after its
+ * publishAt has passed, or 'published' after its unpublishAt.
+ */
+export function isPubliclyVisible(page, now = new Date()) {
+    if (getScheduleState(page, now) !== 'live') return false;
+    return page.status === 'published' || (page.status === 'approved' && !!page.publishAt);
+}
+
+/**
+ * LandingPage filter matching pages the public can see right now (see isPubliclyVisible)
+ */
+export function livePageFilter(now = new Date()) {
+    return {
+        $and: [
+            { $or: [{ status: 'published' }, { status: 'approved', publishAt: { $ne: null } }] },
+            { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+            { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+        ]
+    };
+}
+
+/**
+ * Set or clear a page's publication window. Only roles that may publish can schedule.
+ */
+export async function schedulePage(pageId, { publishAt = null, unpublishAt = null }, user) {
+    if (!canTransition('approved', 'published', user.role)) {
+        const error = new Error(`Role '${user.role}' cannot schedule pages`);
+        error.statusCode = 403;
+        throw error;
+    }
+
+    const page = await LandingPage.findByIdAndUpdate(
+        pageId,
+        {
+            $set: { publishAt, unpublishAt },
+            $push: {
+                comments: {
+                    author: user._id,
+                    authorName: user.username,
+                    body: `Scheduled: publish ${publishAt ? publishAt.toISOString() : 'now'}, unpublish ${unpublishAt ? unpublishAt.toISOString() : 'never'}`
+                }
+            }
+        },
+        { new: true, lean: true }
+    );
+    if (page) {
+        saveToCache(page.key, page);
+        cdnService.purgePage(page);
+    }
+    return page;
+}
+
+/**
+ * Publish approved pages whose publishAt has passed and archive published pages
+ * whose unpublishAt has passed. Run periodically from cron-jobs.js.
+ */
+export async function runScheduledTransitions(now = new Date()) {
+    const toPublish = await LandingPage.find({
+        status: 'approved',
+        publishAt: { $ne: null, $lte: now },
+        $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }]
+    });
+    for (const page of toPublish) {
+        await applyTransition(page, 'published', SCHEDULER_ACTOR, 'Scheduled publish');
+    }
+
+    const toArchive = await LandingPage.find({
+        status: 'published',
+        unpublishAt: { $ne: null, $lte: now }
+    });
+    for (const page of toArchive) {
+        await applyTransition(page, 'archived', SCHEDULER_ACTOR, 'Scheduled unpublish');
+    }
+
+    if (toPublish.length || toArchive.length) {
+        logger.info('Scheduled page transitions applied', {
+            published: toPublish.length,
+            archived: toArchive.length
+        });
+    }
+
+    return { published: toPublish.length, archived: toArchive.length };
+}
+
+/**
+ * Upcoming scheduled publish/unpublish events, soonest first
+ * @param {Object} filter - extra LandingPage filter, e.g. { tenant }
+ */
+export async function getUpcomingSchedule(filter = {}, now = new Date()) {
+    const pages = await LandingPage.find({
+        ...filter,
+        status: { $ne: 'archived' },
+        $or: [{ publishAt: { $gt: now } }, { unpublishAt: { $gt: now } }]
+    })
+        .select('key industry lang location type status publishAt unpublishAt')
+        .lean();
+
+    const events = [];
+    for (const page of pages) {
+        if (page.publishAt && page.publishAt > now) {
+            events.push({ page, action: 'publish', at: page.publishAt });
+        }
+        if (page.unpublishAt && page.unpublishAt > now) {
+            events.push({ page, action: 'unpublish', at: page.unpublishAt });
+        }
+    }
+
+    return events.sort((a, b) => a.at - b.at);
+}
@@ -9,6 +9,8 @@ import Plan from '../models/Plan.js';
 import Tenant from '../models/Tenant.js';
 import Invoice from '../models/Invoice.js';
 import Subscription from '../models/Subscription.js';
+import LandingPage from '../models/LandingPage.js';
+import PageRevision from '../models/PageRevision.js';
 
 dotenv.config();
 const uri = process.env.MONGO_URI || process.env.MONGODB_TEST_URI;
@@ -68,6 +70,32 @@ if (!uri) throw new Error('MONGO_URI missing');
   });
   created.push({ model: Subscription, id: sub._id });
 
+  /* LandingPage ----------------------------------------------------- */
+  const lp = await LandingPage.create({
+    key: rand('page'),
+    tenant: t._id,
+    industry: 'real_estate',
+    lang: 'en',
+    location: rand('loc'),
+    type: 'Villa',
+    seoText: 'Test page copy',
+    translations: { es: 'Texto de prueba' },
+  });
+  created.push({ model: LandingPage, id: lp._id });
+  if (lp.status !== 'draft') throw new Error('LandingPage default status wrong');
+
+  /* PageRevision (append-only) ------------------------------------- */
+  const rev = await PageRevision.create({
+    page: lp._id,
+    tenant: t._id,
+    revision: 1,
+    seoText: lp.seoText,
+    source: 'ai',
+  });
+  created.push({ model: PageRevision, id: rev._id });
+  const edited = await PageRevision.updateOne({ _id: rev._id }, { seoText: 'x' }).then(() => true, () => false);
+  if (edited) throw new Error('PageRevision should be immutable');
+
   /* Relationship sanity check -------------------------------------- */
   const got = await Subscription.findById(sub._id).populate('userId planId');
   if (!got.userId || !got.planId) throw new Error('population failed');
@@ -43,6 +43,8 @@ async function run() {
     // Public routes
     const publicRoutes = [
         "/health",
+        "/robots.txt",
+        "/sitemap.xml",
         "/market/test-industry/en/test-location/test-type" // Example
     ];
 
@@ -50,6 +52,13 @@ async function run() {
     const adminRoutes = [
         "/admin",
         "/admin/generate",
+        "/admin/pages",
+        "/admin/review",
+        "/admin/exports",
+        "/admin/prompts",
+        "/admin/ai-usage",
+        "/api/v1/ai-usage?groupBy=day,operation",
+        "/api/ai-usage/stats",
         "/admin/push",
         "/admin/abtests",
         "/admin/seo",
@@ -63,7 +72,12 @@ async function run() {
     const tenantRoutes = [
         "/tenant/dashboard",
         "/tenant/theme",
-        "/tenant/usage"
+        "/tenant/usage",
+        "/tenant/domains",
+        "/tenant/seo",
+        "/tenant/templates",
+        "/tenant/media",
+        "/tenant/brand-voice"
     ];
 
     // API routes
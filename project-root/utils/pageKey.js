@@ -0,0 +1,59 @@
+/**
+ * Canonical landing page identity and key scheme.
+ *
+ * A page is identified by { tenant, industry, lang, location, type }; tenant is
+ * null for platform pages. Its key looks like:
+ *
+ *   page:<tenantId|platform>:<industry>:<lang>:<location>:<type>[:v<variant>]
+ *
+ * Segments are URI-encoded so ':' inside a value can never collide.
+ */
+
+const PREFIX = 'page';
+const PLATFORM = 'platform';
+
+const encode = (value) => encodeURIComponent(String(value));
+
+export function buildPageKey({ tenant = null, industry, lang, location, type }, { variant } = {}) {
+    const parts = [
+        PREFIX,
+        tenant ? encode(tenant.toString()) : PLATFORM,
+        encode(industry),
+        encode(lang),
+        encode(location),
+        encode(type)
+    ];
+    if (variant !== undefined && variant !== null) {
+        parts.push(`v${encode(variant)}`);
+    }
+    return parts.join(':');
+}
+
+/**
+ * Inverse of buildPageKey. Returns null for anything that is not a canonical key.
+ */
+export function parsePageKey(key) {
+    const parts = String(key).split(':');
+    if (parts[0] !== PREFIX || parts.length < 6 || parts.length > 7) return null;
+
+    const [, tenant, industry, lang, location, type, variant] = parts;
+    return {
+        tenant: tenant === PLATFORM ? null : decodeURIComponent(tenant),
+        industry: decodeURIComponent(industry),
+        lang: decodeURIComponent(lang),
+        location: decodeURIComponent(location),
+        type: decodeURIComponent(type),
+        ...(variant ? { variant: decodeURIComponent(variant.slice(1)) } : {})
+    };
+}
+
+export function isPageKey(key) {
+    return parsePageKey(key) !== null;
+}
+
+/**
+ * Public URL path of a page identity
+ */
+export function buildPagePath({ industry, lang, location, type }) {
+    return `/market/${[industry, lang, location, type].map(encode).join('/')}`;
+}